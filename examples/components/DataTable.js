@@ -1,7 +1,10 @@
-import { Component } from '../../index.js';
+import { Component, unsafeHTML } from '../../index.js';
 
 // Reusable component: DataTable
+// Compiled templates: re-sorting or selecting rows only updates the changed cells
 export class DataTable extends Component {
+  static compiled = true;
+
   constructor() {
     super(null, {
       columns: [],
@@ -88,7 +91,7 @@ export class DataTable extends Component {
                     </button>
                   ` : col.label}
                 </th>
-              `).join('')}
+              `)}
             </tr>
           </thead>
 
@@ -110,18 +113,18 @@ export class DataTable extends Component {
                       type="checkbox"
                       class="row-checkbox"
                       value="${row.id || index}"
-                      ${this.props.selectedRows.has(row.id || index) ? 'checked' : ''}
+                      .checked=${this.props.selectedRows.has(String(row.id || index))}
                     >
                   </td>
                 ` : ''}
 
                 ${this.props.columns.map(col => this.html`
                   <td style="padding: 1rem; white-space: nowrap; font-size: 0.875rem; color: var(--text);">
-                    ${col.render ? col.render(row[col.key], row) : row[col.key]}
+                    ${col.render ? unsafeHTML(col.render(row[col.key], row)) : row[col.key]}
                   </td>
-                `).join('')}
+                `)}
               </tr>
-            `).join('')}
+            `)}
           </tbody>
         </table>
       </div>
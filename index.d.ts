@@ -6,11 +6,15 @@ export interface MountOptions<P = any, S = any> {
   props?: P;
   state?: Partial<S> | any;
   children?: any[];
+  slots?: Slots;
 }
 
+export type SlotContent = string | SafeHTML | Node | null | undefined | false | SlotContent[] | ((component: any) => string | Node);
+export type Slots = { [name: string]: SlotContent };
+
 export interface ComponentLike<P = any> {
   element: Element | null;
-  html(strings: TemplateStringsArray, ...values: any[]): string;
+  html(strings: TemplateStringsArray, ...values: any[]): string | SafeHTML;
   mount(selector: string | Element, options?: MountOptions<P, any>): this;
   hydrate(selector: string | Element, options?: MountOptions<P, any>): this;
   unmount(): void;
@@ -18,12 +22,28 @@ export interface ComponentLike<P = any> {
   findAll<T extends Element = Element>(selector: string): T[];
 }
 
+export type RenderPriority = 'user-blocking' | 'normal' | 'idle';
+
 // Class-based Component (runtime alias of SmoothComponent)
 export class Component<P = any, S = any> implements ComponentLike<P> {
+  static errorBoundary: boolean;
+  static suspense: boolean;
+  static autoEscape: boolean;
+  static compiled: boolean;
+  static pure: boolean;
+  static areEqual: ((prevProps: any, nextProps: any) => boolean) | null;
+  static timeSlice: number;
+  static idleTimeout: number;
+  static maxFlushPasses: number;
+  static flushSync<T = void>(fn?: () => T): T;
+  static batch<T>(fn: () => T): T;
+  static runWithPriority<T>(priority: RenderPriority, fn: () => T): T;
+  static startTransition<T>(fn: () => T): T;
   constructor(element?: Element | null, initialState?: S, props?: P);
   element: Element | null;
   state: S;
   props: P;
+  slots: Slots;
 
   // Lifecycle hooks
   onCreate(): void;
@@ -31,9 +51,18 @@ export class Component<P = any, S = any> implements ComponentLike<P> {
   onUnmount(): void;
   onStateChange(prevState: S, newState: S): void;
   onPropsChange(prevProps: P, newProps: P): void;
+  shouldUpdate(prevState: S, prevProps: P): boolean;
+  beforeUpdate(): any;
+  onUpdated(snapshot?: any): void;
+  forceUpdate(): void;
+  onError?(error: unknown, info?: ErrorInfo): void;
+  renderError?(error: unknown): string | Node;
+
+  // Error boundaries
+  reset(): void;
 
   // Core methods
-  html(strings: TemplateStringsArray, ...values: any[]): string;
+  html(strings: TemplateStringsArray, ...values: any[]): string | SafeHTML;
   template(): any;
   render(): void;
   mount(selector: string | Element, options?: MountOptions<P, S>): this;
@@ -45,9 +74,10 @@ export class Component<P = any, S = any> implements ComponentLike<P> {
   // State/props and events
   setState(partial: Partial<S> | ((prev: S) => Partial<S>)): void;
   setProps(next: Partial<P> | ((prev: P) => Partial<P>)): void;
+  setSlots(slots: Slots): void;
   on(event: string, selectorOrHandler: string | ((e: Event) => void), handler?: (e: Event) => void): void;
   off(event?: string, selectorOrHandler?: string | ((e: Event) => void), handler?: (e: Event) => void): void;
-  emit<T = any>(target: Element, type: string, init?: CustomEventInit<T>): void;
+  emit<T = any>(name: string, detail?: T, options?: Omit<CustomEventInit<T>, 'detail'>): boolean;
 
   // Context API
   provideContext<T>(Context: symbol, value: T): void;
@@ -55,6 +85,43 @@ export class Component<P = any, S = any> implements ComponentLike<P> {
 
   // Utilities
   portal(target: string | Element, content: any, key?: string): void;
+  child<CP = any>(Comp: new (element?: Element | null, initialState?: any, props?: CP) => ComponentLike<CP>, props?: Partial<CP>, key?: string | number): ChildMarker;
+  slot(name?: string, fallback?: SlotContent): string | SafeHTML;
+  hasSlot(name?: string): boolean;
+}
+
+export interface ErrorInfo {
+  component: Component<any, any>;
+  phase: 'render' | 'mount' | 'event' | 'effect';
+}
+
+export interface ErrorBoundaryProps {
+  component?: new (...args: any[]) => ComponentLike<any>;
+  props?: any;
+  fallback?: string | Node | ((error: unknown, reset: () => void) => string | Node);
+}
+
+export class ErrorBoundary extends Component<ErrorBoundaryProps> {
+  readonly error: unknown;
+}
+
+export interface SuspenseProps {
+  component?: new (...args: any[]) => ComponentLike<any>;
+  props?: any;
+  fallback?: string | Node | (() => string | Node);
+}
+
+export class Suspense extends Component<SuspenseProps> {
+  readonly pending: boolean;
+}
+
+export function memo<C extends new (...args: any[]) => ComponentLike<any>>(Comp: C, areEqual?: (prevProps: any, nextProps: any) => boolean): C;
+export function lazy<P = any>(loader: () => Promise<any>): new (element?: Element | null, initialState?: any, props?: P) => Component<P>;
+
+export interface ChildMarker {
+  readonly __smooth_child__: true;
+  readonly key: string;
+  toString(): string;
 }
 
 export interface RouterBeforeEach {
@@ -65,21 +132,80 @@ export interface RouterOptions {
   mode?: 'hash' | 'history';
   root?: string | Element;
   notFound?: new () => ComponentLike<any>;
+  /** Rendered with `{ error, params, query, hash }` props when a guard or resolver throws. */
+  errorComponent?: new () => ComponentLike<any>;
   beforeEach?: RouterBeforeEach;
+  afterEach?: (to: Route, from: Route | null, error?: unknown) => void;
+}
+
+/** The route passed to per-route guards, resolvers and afterEach. */
+export interface Route {
+  path: string;
+  url: string;
+  params: Record<string, any>;
+  query: RouteQuery;
+  hash: string;
+}
+
+/** false cancels; a path or location redirects (replacing the history entry); anything else continues. */
+export type RouteGuardResult = boolean | void | string | { path: string; query?: Record<string, any>; hash?: string } | NamedRouteTarget;
+
+/** A named route; `params` fill the route's path pattern. */
+export interface NamedRouteTarget {
+  name: string;
+  params?: Record<string, any>;
+  query?: Record<string, any>;
+  hash?: string;
+}
+
+export interface RouteHooks {
+  /** Name for resolve(), navigate({ name }) and link({ name }); must be unique. */
+  name?: string;
+  beforeEnter?: (to: Route, from: Route | null) => RouteGuardResult | Promise<RouteGuardResult>;
+  /** `instance` is the route's mounted default component. */
+  beforeLeave?: (to: Route, from: Route | null, instance: ComponentLike<any> | null) => RouteGuardResult | Promise<RouteGuardResult>;
+  /** Loaders that run in parallel before mounting; results are passed as props under the same keys. */
+  resolve?: Record<string, (to: Route, from: Route | null) => any>;
 }
 
+/** Components by outlet name (`default` plus `data-router-outlet="name"` outlets); values may be async loaders. */
+export type RouteComponents = Record<string, (new () => ComponentLike<any>) | (() => Promise<any>)>;
+
 export type RouteTarget =
   | (new () => ComponentLike<any>)
   | (() => Promise<any>)
-  | { component?: new () => ComponentLike<any>; load?: () => Promise<any>; children?: Array<{ path: string; component?: new () => ComponentLike<any>; load?: () => Promise<any>; }>; };
+  | (RouteHooks & { component?: new () => ComponentLike<any>; load?: () => Promise<any>; components?: RouteComponents; children?: Array<RouteHooks & { path: string; component?: new () => ComponentLike<any>; load?: () => Promise<any>; components?: RouteComponents; }>; });
+
+/** Parsed query string; repeated keys become arrays. */
+export type RouteQuery = Record<string, string | string[]>;
+
+export interface RouteLocation {
+  path: string;
+  query: RouteQuery;
+  hash: string;
+}
+
+/** Props route components receive. */
+export interface RouteProps {
+  params: Record<string, string>;
+  query: RouteQuery;
+  hash: string;
+}
 
 export class Router {
   constructor(options?: RouterOptions);
+  currentPath: string | null;
+  currentQuery: RouteQuery;
+  currentHash: string;
   route(path: string, target: RouteTarget): this;
-  link(to: string, label: string, options?: { exact?: boolean; activeClass?: string; attrs?: string }): string;
-  navigate(path: string, opts?: { replace?: boolean }): Promise<void>;
+  link(to: string | NamedRouteTarget, label: string, options?: { exact?: boolean; activeClass?: string; attrs?: string }): string;
+  navigate(target?: string | { path?: string; query?: Record<string, any>; hash?: string } | NamedRouteTarget, opts?: { replace?: boolean }): Promise<void>;
+  /** The URL of a named route; throws for unknown names, missing required params or params failing a constraint. */
+  resolve(target: NamedRouteTarget): string;
+  /** Merges into the current query (null removes a key), or replaces it when given a function. */
+  setQuery(update: Record<string, any> | ((query: RouteQuery) => Record<string, any>), opts?: { replace?: boolean }): void;
   start(): void;
-  onChange(cb: (path: string) => void): () => void;
+  onChange(cb: (path: string, location: RouteLocation) => void): () => void;
   destroy(): void;
 }
 
@@ -94,6 +220,20 @@ export interface Store<T extends object = Dict> {
 
 export function createStore<T extends object = Dict>(initialState?: T): Store<T>;
 
+// Signals
+export interface ReadonlySignal<T> {
+  readonly value: T;
+  peek(): T;
+}
+export interface Signal<T> extends ReadonlySignal<T> {
+  value: T;
+  set(update: T | ((prev: T) => T)): void;
+}
+export function signal<T>(initialValue: T): Signal<T>;
+export function computed<T>(getter: () => T): ReadonlySignal<T>;
+export function effect(fn: () => void | (() => void)): () => void;
+export function untrack<T>(fn: () => T): T;
+
 export type Selector<T, A extends any[], R> = (state: T, ...args: A) => R;
 export function createSelector<A extends any[], R>(...funcs: [...selectors: Array<(...args: any[]) => any>, resultFn: (...args: any[]) => R]): (...args: any[]) => R;
 
@@ -134,6 +274,15 @@ export function $(selector: string): Element | null;
 export function $$(selector: string): Element[];
 export function createElement<K extends keyof HTMLElementTagNameMap>(tag: K, props?: any, ...children: any[]): HTMLElementTagNameMap[K];
 
+export interface TransitionHooks {
+  enter?(el: Element, done?: () => void): void;
+  afterEnter?(el: Element): void;
+  leave?(el: Element, done?: () => void): void;
+  afterLeave?(el: Element): void;
+  move?(el: Element, done?: () => void): void;
+}
+export function registerTransition(name: string, hooks?: TransitionHooks): void;
+
 export namespace utils {
   const isBrowser: boolean;
   function ready(callback: () => void): void;
@@ -156,6 +305,11 @@ export const SSR: {
     ComponentClass: new (...args: any[]) => ComponentLike<any>,
     options?: { props?: any; state?: any; containerId?: string | null }
   ): string;
+  /** Awaits async setups and suspended templates, then renders. */
+  renderToStringAsync(
+    ComponentClass: new (...args: any[]) => ComponentLike<any>,
+    options?: { props?: any; state?: any; containerId?: string | null }
+  ): Promise<string>;
 };
 
 // Query/cache layer
@@ -219,9 +373,27 @@ export const Testing: {
 };
 
 // Security utilities
+export class SafeHTML {
+  private constructor(html: string);
+  toString(): string;
+}
+// Returned by html() in components with `static compiled = true`
+export class TemplateResult extends SafeHTML {
+  readonly strings: TemplateStringsArray;
+  readonly values: any[];
+}
+export type SanitizeOptions = { allowTags?: string[]; allowAttrs?: Record<string, string[]> };
+export function unsafeHTML(html: string | SafeHTML): SafeHTML;
+export function sanitizeHTML(html: any, options?: SanitizeOptions): SafeHTML;
+
 export const Security: {
-  sanitize(html: any, options?: { allowTags?: string[]; allowAttrs?: Record<string, string[]> }): string;
+  sanitize(html: any, options?: SanitizeOptions): string;
   configureSanitizer(fn?: (html: any, options?: any) => string): void;
+  SafeHTML: typeof SafeHTML;
+  isSafeHTML(value: any): value is SafeHTML;
+  unsafeHTML: typeof unsafeHTML;
+  sanitizeHTML: typeof sanitizeHTML;
+  escapeHTML(value: any): string;
 };
 
 // Forms helpers
@@ -261,7 +433,12 @@ declare const SmoothJS: {
   Router: typeof Router;
   createStore: typeof createStore;
   createSelector: typeof createSelector;
+  signal: typeof signal;
+  computed: typeof computed;
+  effect: typeof effect;
+  untrack: typeof untrack;
   createElement: typeof createElement;
+  registerTransition: typeof registerTransition;
   http: typeof http;
   HTTPError: typeof HTTPError;
   utils: typeof utils;
@@ -269,6 +446,8 @@ declare const SmoothJS: {
   $$: typeof $$;
   version: string;
   defineComponent: typeof defineComponent;
+  Hooks: typeof Hooks;
+  defineElement: typeof defineElement;
   SSR: typeof SSR;
   Query: typeof Query;
   DevTools: typeof DevTools;
@@ -276,8 +455,14 @@ declare const SmoothJS: {
   Velvet: typeof Velvet;
   Testing: typeof Testing;
   Security: typeof Security;
+  unsafeHTML: typeof unsafeHTML;
+  sanitizeHTML: typeof sanitizeHTML;
   Forms: typeof Forms;
   Component: typeof Component;
+  ErrorBoundary: typeof ErrorBoundary;
+  Suspense: typeof Suspense;
+  lazy: typeof lazy;
+  memo: typeof memo;
 };
 export default SmoothJS;
 
@@ -289,14 +474,24 @@ export interface FunctionalSetupContext<P = any> {
   useRef<T = any>(initial?: T): { current: T };
   useMemo<T>(factory: () => T, deps?: any[]): T;
   useEffect(effect: () => void | (() => void), deps?: any[]): void;
+  useLayoutEffect(effect: () => void | (() => void), deps?: any[]): void;
+  useReducer<S, A, I = S>(reducer: (state: S, action: A) => S, initialArg: I, init?: (arg: I) => S): [S, (action: A) => void];
+  useCallback<T extends (...args: any[]) => any>(fn: T, deps?: any[]): T;
+  useId(): string;
+  useStore<T = any, R = T>(store: { select: (selector: (state: T) => R, onChange?: (value: R) => void, isEqual?: any) => () => void; getState(): T }, selector?: (state: T) => R, isEqual?: ((a: R, b: R) => boolean) | 'shallow'): R;
+  useSyncExternalStore<T>(subscribe: (onChange: () => void) => () => void, getSnapshot: () => T): T;
   // Data
   useQuery<T = any>(key: string, fetcher?: () => Promise<T>, options?: any): [T, { data: T; error: any; updatedAt: number; refetch: () => Promise<any>; invalidate: () => void; remove: () => void; invalidateTag: (tag: string) => void }];
   // Utilities
-  html(strings: TemplateStringsArray, ...values: any[]): string;
+  html(strings: TemplateStringsArray, ...values: any[]): string | SafeHTML;
   portal(target: string | Element, content: any, key?: string): any;
+  child<CP = any>(Comp: new (element?: Element | null, initialState?: any, props?: CP) => ComponentLike<CP>, props?: Partial<CP>, key?: string | number): ChildMarker;
+  slot(name?: string, fallback?: SlotContent): string | SafeHTML;
+  hasSlot(name?: string): boolean;
   provideContext(Context: any, value: any): void;
   useContext<T = any>(Context: any): T;
   on(event: string, selector: string | ((e: Event) => any), handler?: (e: Event) => any): any;
+  emit<T = any>(name: string, detail?: T, options?: Omit<CustomEventInit<T>, 'detail'>): boolean;
   // Accessors
   readonly props: P;
   readonly children: any[];
@@ -310,11 +505,69 @@ export interface FunctionalSetupResult<P = any> {
   onMount?(): void;
   onUnmount?(): void;
   onPropsChange?(prev: P, next: P): void;
-  onError?(err: unknown): void;
+  onError?(err: unknown, info?: ErrorInfo): void;
 }
 
-export function defineComponent<P = any>(setup: (ctx: FunctionalSetupContext<P>) => FunctionalSetupResult<P>): new (
+export interface DefineComponentOptions<P = any> {
+  /** Shown while an async setup is pending; without it the component suspends. */
+  pending?: string | ((ctx: FunctionalSetupContext<P>) => string | Node | null | undefined);
+  /** Shown when an async setup rejects; without it the error goes to renderError/boundaries. */
+  error?: (error: unknown, ctx: FunctionalSetupContext<P>) => string | Node | null | undefined;
+}
+
+export function defineComponent<P = any>(
+  setup: (ctx: FunctionalSetupContext<P>) => FunctionalSetupResult<P> | Promise<FunctionalSetupResult<P>>,
+  options?: DefineComponentOptions<P>
+): new (
   element?: Element | string | null,
   initialState?: any,
   props?: Partial<P>
-) => ComponentLike<P>;
+) => ComponentLike<P> & { whenReady(): Promise<void> };
+
+// Standalone hooks (callable while a defineComponent() component runs setup/render)
+export function getCurrentInstance(): ComponentLike | null;
+export const useState: FunctionalSetupContext['useState'];
+export const useReducer: FunctionalSetupContext['useReducer'];
+export const useRef: FunctionalSetupContext['useRef'];
+export const useMemo: FunctionalSetupContext['useMemo'];
+export const useCallback: FunctionalSetupContext['useCallback'];
+export const useEffect: FunctionalSetupContext['useEffect'];
+export const useLayoutEffect: FunctionalSetupContext['useLayoutEffect'];
+export const useId: FunctionalSetupContext['useId'];
+export const useContext: FunctionalSetupContext['useContext'];
+export const useStore: FunctionalSetupContext['useStore'];
+export const useSyncExternalStore: FunctionalSetupContext['useSyncExternalStore'];
+export const useQuery: FunctionalSetupContext['useQuery'];
+export const Hooks: {
+  getCurrentInstance: typeof getCurrentInstance;
+  useState: typeof useState;
+  useReducer: typeof useReducer;
+  useRef: typeof useRef;
+  useMemo: typeof useMemo;
+  useCallback: typeof useCallback;
+  useEffect: typeof useEffect;
+  useLayoutEffect: typeof useLayoutEffect;
+  useId: typeof useId;
+  useContext: typeof useContext;
+  useStore: typeof useStore;
+  useSyncExternalStore: typeof useSyncExternalStore;
+  useQuery: typeof useQuery;
+};
+
+// Custom elements
+export type ElementPropType = StringConstructor | NumberConstructor | BooleanConstructor | ObjectConstructor | ArrayConstructor | ((value: string) => any);
+export interface DefineElementOptions {
+  observedProps?: string[] | Record<string, ElementPropType>;
+  shadow?: boolean | 'open' | 'closed';
+  events?: string[];
+  velvet?: boolean;
+}
+export interface SmoothElement extends HTMLElement {
+  readonly component: ComponentLike | null;
+  [prop: string]: any;
+}
+export function defineElement(
+  tagName: string,
+  Comp: new (element?: Element | null, initialState?: any, props?: any) => ComponentLike,
+  options?: DefineElementOptions
+): (new () => SmoothElement) | null;
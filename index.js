@@ -2,13 +2,20 @@
 import { createContext } from './src/component/context.js';
 import { SmoothRouter as Router } from './src/router/SmoothRouter.js';
 import { createStore, createSelector } from './src/state/createStore.js';
+import { signal, computed, effect, untrack } from './src/state/signals.js';
 import { createElement, $, $$ } from './src/dom/index.js';
+import { registerTransition } from './src/dom/transition.js';
 import { http, HTTPError } from './src/net/http.js';
 import { utils } from './src/utils/index.js';
 import { SmoothComponent as Component } from './src/component/SmoothComponent.js';
+import { ErrorBoundary } from './src/component/ErrorBoundary.js';
+import { Suspense, lazy } from './src/component/Suspense.js';
+import { defineElement } from './src/component/element.js';
+import { memo } from './src/component/memo.js';
 
 // Functional components
 import { defineComponent } from './src/functional/defineComponent.js';
+import Hooks, { getCurrentInstance, useState, useReducer, useRef, useMemo, useCallback, useEffect, useLayoutEffect, useId, useContext, useStore, useSyncExternalStore, useQuery } from './src/functional/hooks.js';
 
 // SSR and Data Query layer
 import SSR from './src/ssr/index.js';
@@ -28,6 +35,7 @@ import * as Testing from './src/testing/index.js';
 
 // Security and Forms
 import * as Security from './src/security/index.js';
+import { unsafeHTML, sanitizeHTML } from './src/security/index.js';
 import * as Forms from './src/forms/index.js';
 
 const version = '1.0.0-beta';
@@ -37,7 +45,12 @@ const SmoothJS = {
   Router,
   createStore,
   createSelector,
+  signal,
+  computed,
+  effect,
+  untrack,
   createElement,
+  registerTransition,
   http,
   HTTPError,
   utils,
@@ -45,6 +58,8 @@ const SmoothJS = {
   $$,
   version,
   defineComponent,
+  Hooks,
+  defineElement,
   SSR,
   Query,
   DevTools,
@@ -52,8 +67,14 @@ const SmoothJS = {
   Velvet,
   Testing,
   Security,
+  unsafeHTML,
+  sanitizeHTML,
   Forms,
-  Component
+  Component,
+  ErrorBoundary,
+  Suspense,
+  lazy,
+  memo
 };
 
 // Expose to window for convenience in browsers
@@ -61,5 +82,5 @@ if (typeof window !== 'undefined') {
   window.SmoothJS = SmoothJS;
 }
 
-export { createContext, Router, createStore, createSelector, createElement, http, HTTPError, utils, $, $$, version, defineComponent, SSR, Query, DevTools, A11y, Velvet, Testing, Security, Forms, Component };
+export { createContext, Router, createStore, createSelector, signal, computed, effect, untrack, createElement, registerTransition, http, HTTPError, utils, $, $$, version, defineComponent, Hooks, getCurrentInstance, useState, useReducer, useRef, useMemo, useCallback, useEffect, useLayoutEffect, useId, useContext, useStore, useSyncExternalStore, useQuery, defineElement, SSR, Query, DevTools, A11y, Velvet, Testing, Security, unsafeHTML, sanitizeHTML, Forms, Component, ErrorBoundary, Suspense, lazy, memo };
 export default SmoothJS;
\ No newline at end of file
@@ -0,0 +1,40 @@
+import { SmoothComponent } from './SmoothComponent.js';
+import { escapeHTML } from '../security/index.js';
+
+/**
+ * Ready-made error boundary. Errors thrown while rendering, mounting, handling events or
+ * running effects in any descendant component are caught here and replaced by a fallback.
+ *
+ * Props:
+ * - `component`: Optional component class to render inside the boundary (mounted via `child()`).
+ * - `props`: Props passed to `component`.
+ * - `fallback`: String, Node, or `(error, reset) => string|Node` rendered while an error is caught.
+ *
+ * Any element with a `data-boundary-reset` attribute inside the fallback calls `reset()` on click.
+ */
+export class ErrorBoundary extends SmoothComponent {
+  static errorBoundary = true;
+
+  onCreate() {
+    this.on('click', '[data-boundary-reset]', () => this.reset());
+  }
+
+  get error() {
+    return this._caughtError ? this._caughtError.error : null;
+  }
+
+  template() {
+    const { component, props } = this.props;
+    return this.html`${component ? this.child(component, props || {}, 'boundary') : ''}${this.renderChildren()}`;
+  }
+
+  renderError(error) {
+    const { fallback } = this.props;
+    if (typeof fallback === 'function') return fallback.call(this, error, () => this.reset());
+    if (fallback != null) return fallback;
+    const message = escapeHTML(error && error.message ? error.message : String(error));
+    return `<div role="alert" data-error-boundary>Something went wrong: ${message} <button type="button" data-boundary-reset>Try again</button></div>`;
+  }
+}
+
+export default ErrorBoundary;
@@ -1,3 +1,8 @@
+import { createObserver, track, dispose } from '../state/signals.js';
+import { SafeHTML, isSafeHTML, escapeHTML } from '../security/index.js';
+import { TemplateResult, TemplateInstance, compileTemplate } from '../dom/template.js';
+import { enter, leave, isLeaving, hasLeaving, liveChildAt, liveCount, recordPositions, playMoves, keepTransitionClasses } from '../dom/transition.js';
+
 /**
  * A WeakMap used for storing and managing private contextual data associated
  * with objects. This registry ensures that the contextual data is not directly
@@ -9,6 +14,7 @@
  * could potentially lead to memory leaks.
  */
 const _contextRegistry = new WeakMap(); // WeakMap<Element, Map<symbol, any>> for context values
+const _contextSubscribers = new WeakMap(); // WeakMap<Element, Map<symbol, Set<SmoothComponent>>> consumers per provider
 /**
  * Determines whether errors should be logged based on the current environment and global variables.
  *
@@ -26,6 +32,105 @@ function _shouldLogErrors() {
   return true;
 }
 
+/**
+ * Schedules a callback for when the browser is idle, falling back to a MessageChannel
+ * macrotask (or setTimeout) where requestIdleCallback is unavailable. The callback
+ * receives a deadline exposing `timeRemaining()` and `didTimeout` like requestIdleCallback.
+ *
+ * @param {Function} cb - The callback to run.
+ * @param {number} timeout - Maximum delay in milliseconds before the callback is forced to run.
+ */
+function _requestIdle(cb, timeout) {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(cb, { timeout });
+    return;
+  }
+  const run = () => {
+    const start = Date.now();
+    cb({ didTimeout: false, timeRemaining: () => Math.max(0, SmoothComponent.timeSlice - (Date.now() - start)) });
+  };
+  if (typeof MessageChannel === 'function') {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => { channel.port1.close(); run(); };
+    channel.port2.postMessage(null);
+  } else {
+    setTimeout(run, 0);
+  }
+}
+
+// Converts child/slot content (string, Node, array or any value) to markup
+function _slotContent(content) {
+  if (content == null || content === false) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(_slotContent).join('');
+  if (typeof Node !== 'undefined' && content instanceof Node) return content.outerHTML || content.textContent || '';
+  return String(content);
+}
+
+// `.prop=` or `@event=` attribute (optionally quoted) directly before an interpolation
+const _bindingPattern = /\s([.@])([A-Za-z_$][\w$:-]*)=(["']?)$/;
+
+// Element -> Map<event, { handler, listener }> for @event bindings
+const _boundListeners = new WeakMap();
+
+// Removes bound listeners except for the events in `keep` (all when keep is null)
+function _unbindListeners(el, listeners, keep) {
+  for (const [event, rec] of listeners) {
+    if (keep && keep.has(event)) continue;
+    el.removeEventListener(event, rec.listener);
+    listeners.delete(event);
+  }
+}
+
+let _nextUid = 0;
+
+// Converts one interpolated value for the default (non-escaping) html()
+function _rawValue(value) {
+  // portal placeholders contribute nothing to inline HTML
+  if (value && value.__smooth_portal__ === true) return '';
+  // child component placeholder; filled in by _processChildren after patch
+  if (value && value.__smooth_child__ === true) return String(value);
+  if (value == null) return '';
+  // arrays joined by comma per tests expectation
+  if (Array.isArray(value)) return value.join(',');
+  return String(value);
+}
+
+// Converts one interpolated value for auto-escaping templates
+function _escapeValue(value) {
+  if (value == null || value === false) return '';
+  if (value.__smooth_portal__ === true) return '';
+  if (value.__smooth_child__ === true || isSafeHTML(value)) return String(value);
+  if (Array.isArray(value)) return value.map(_escapeValue).join('');
+  if (typeof Node !== 'undefined' && value instanceof Node) return value.outerHTML || escapeHTML(value.textContent || '');
+  return escapeHTML(value);
+}
+
+// True when applying `partial` would change any key of `current`
+function _changes(current, partial) {
+  for (const k of Object.keys(partial)) {
+    if (!(k in current) || !Object.is(current[k], partial[k])) return true;
+  }
+  return false;
+}
+
+// Namespace for component events dispatched by emit(), e.g. 'save' -> 'smooth:save'
+const _emitPrefix = 'smooth:';
+
+// Orders queued instances by DOM depth so ancestors render before their descendants
+function _byDepth(set) {
+  const depth = new Map();
+  for (const inst of set) {
+    let d = 0;
+    for (let n = inst.element; n; n = n.parentNode) d++;
+    depth.set(inst, d);
+  }
+  return Array.from(set).sort((a, b) => depth.get(a) - depth.get(b));
+}
+
+// Events that reflect direct user input; their updates render ahead of normal work
+const _discreteEvents = new Set(['click', 'input', 'change', 'submit', 'keydown', 'keyup', 'keypress', 'pointerdown', 'pointerup', 'mousedown', 'mouseup', 'touchstart', 'touchend', 'focus', 'blur', 'focusin', 'focusout']);
+
 /**
  * Represents a base class for components with state and property management,
  * rendering logic, and event delegation. This class includes lifecycle hooks,
@@ -33,11 +138,34 @@ function _shouldLogErrors() {
  * child classes to define custom behavior and templates.
  */
 export class SmoothComponent {
-  static _dirty = new Set();
+  static _dirty = new Set(); // normal priority
+  static _urgent = new Set(); // user-blocking priority
+  static _idle = new Set(); // idle priority, rendered in time slices
+  static _priority = 'normal';
+  static _idleScheduled = false;
+  // Milliseconds of idle rendering per slice before yielding back to the browser
+  static timeSlice = 5;
+  // Maximum wait in milliseconds before idle renders are forced to run
+  static idleTimeout = 200;
   static _scheduled = false;
+  static _flushing = false;
+  // Upper bound on re-render passes in one flush before yielding to the next microtask
+  static maxFlushPasses = 50;
   static _batchDepth = 0;
   static _needsFlush = false;
   static _byEl = new WeakMap();
+  // Set to true on a subclass to catch errors thrown by descendant components
+  static errorBoundary = false;
+  // Set to true on a subclass to show a fallback while descendants wait on promises
+  static suspense = false;
+  // Set to true (on SmoothComponent for the whole app, or on a subclass) to escape html() interpolations
+  static autoEscape = false;
+  // Compile html templates once per call site and update only their dynamic parts
+  static compiled = false;
+  // Skip setState/setProps updates that leave state/props shallowly equal
+  static pure = false;
+  // Props comparison for pure components: (prevProps, nextProps) => true when equal
+  static areEqual = null;
 
   static _scheduleFlush(force = false) {
     if (this._batchDepth > 0 && !force) {
@@ -50,17 +178,66 @@ export class SmoothComponent {
   }
 
   static _flush() {
-    this._scheduled = false;
-    const items = Array.from(this._dirty);
-    this._dirty.clear();
-    for (const inst of items) {
-      try { inst.render(); } catch (e) { /* render() already handles errors */ }
+    const S = SmoothComponent;
+    if (S._flushing) return;
+    S._flushing = true;
+    // Enqueues made by renders in this flush are drained by the loop below, not a new microtask
+    this._scheduled = true;
+    try {
+      S._drain();
+    } finally {
+      S._flushing = false;
+      this._scheduled = false;
     }
+    // Still dirty after maxFlushPasses (e.g. a component updating itself on every render): yield
+    if (S._urgent.size > 0 || S._dirty.size > 0) this._scheduleFlush(true);
     if (this._batchDepth === 0 && this._needsFlush) {
       this._needsFlush = false;
     }
   }
 
+  // Renders queued instances until the queue is empty or maxFlushPasses is reached. Instances
+  // in the middle of rendering (a flushSync() from their own render or hook) stay queued.
+  static _drain() {
+    const S = SmoothComponent;
+    for (let pass = 0; pass < S.maxFlushPasses; pass++) {
+      // Parents before children: a parent's patch updates its children's props, and the
+      // children it re-renders leave the queue, so each instance renders at most once per pass
+      const items = [..._byDepth(S._urgent), ..._byDepth(S._dirty)].filter(inst => !inst.isRendering);
+      if (items.length === 0) break;
+      for (const inst of items) {
+        if (!S._urgent.delete(inst) && !S._dirty.delete(inst)) continue;
+        try { inst.render(); } catch (e) { /* render() already handles errors */ }
+      }
+    }
+  }
+
+  /**
+   * Synchronously renders every queued component, including idle (transition) updates,
+   * parents before children. When `fn` is given it runs first as a batch. Useful in tests
+   * or before measuring layout.
+   *
+   * It may be called while a flush is running (e.g. from onMount or onUpdated): the queue is
+   * drained re-entrantly before flushSync returns. Components that are rendering at that
+   * moment, such as the caller itself, cannot render again yet; they stay queued and render
+   * once their current render completes.
+   *
+   * @param {Function} [fn] - Optional function performing updates to commit immediately.
+   * @returns {*} The return value of `fn`.
+   */
+  static flushSync(fn) {
+    const S = SmoothComponent;
+    let result;
+    try {
+      if (fn) result = S.batch(fn);
+    } finally {
+      S._idle.forEach(inst => { if (!S._urgent.has(inst)) S._dirty.add(inst); });
+      S._idle.clear();
+      if (S._flushing) S._drain(); else S._flush();
+    }
+    return result;
+  }
+
   static batch(fn) {
     this._batchDepth++;
     try {
@@ -68,11 +245,92 @@ export class SmoothComponent {
     } finally {
       this._batchDepth--;
       if (this._batchDepth === 0) {
-        if (this._dirty.size > 0) this._scheduleFlush(true);
+        if (this._dirty.size > 0 || this._urgent.size > 0) this._scheduleFlush(true);
       }
     }
   }
 
+  // Queue an instance for render at the given priority ('user-blocking' | 'normal' | 'idle')
+  static _enqueue(inst, priority = SmoothComponent._priority) {
+    const S = SmoothComponent;
+    if (priority === 'idle') {
+      // Already queued at a higher priority: that render will pick up the change
+      if (S._urgent.has(inst) || S._dirty.has(inst)) return;
+      S._idle.add(inst);
+      S._scheduleIdle();
+      return;
+    }
+    S._idle.delete(inst);
+    if (priority === 'user-blocking') {
+      S._dirty.delete(inst);
+      S._urgent.add(inst);
+    } else if (!S._urgent.has(inst)) {
+      S._dirty.add(inst);
+    }
+    S._scheduleFlush();
+  }
+
+  // Drop an instance from every render queue
+  static _dequeue(inst) {
+    const S = SmoothComponent;
+    S._urgent.delete(inst);
+    S._dirty.delete(inst);
+    S._idle.delete(inst);
+  }
+
+  static _scheduleIdle() {
+    const S = SmoothComponent;
+    if (S._idleScheduled) return;
+    S._idleScheduled = true;
+    _requestIdle((deadline) => S._flushIdle(deadline), S.idleTimeout);
+  }
+
+  static _flushIdle(deadline) {
+    const S = SmoothComponent;
+    S._idleScheduled = false;
+    let rendered = 0;
+    for (const inst of _byDepth(S._idle)) {
+      if (!S._idle.has(inst)) continue; // rendered by an ancestor earlier in this slice
+      // Always make progress, then yield once the slice is used up (unless the deadline expired)
+      if (rendered > 0 && deadline && !deadline.didTimeout && deadline.timeRemaining() <= 0) break;
+      S._idle.delete(inst);
+      try { inst.render(); } catch (e) { /* render() already handles errors */ }
+      rendered++;
+    }
+    if (S._idle.size > 0) S._scheduleIdle();
+  }
+
+  /**
+   * Runs `fn` so that renders it schedules are queued at the given priority.
+   * 'user-blocking' renders flush before 'normal' ones; 'idle' renders wait for idle time
+   * and yield back to the browser between components once `timeSlice` is used up.
+   *
+   * @param {'user-blocking'|'normal'|'idle'} priority - The priority for updates made inside `fn`.
+   * @param {Function} fn - The function to run.
+   * @returns {*} The return value of `fn`.
+   */
+  static runWithPriority(priority, fn) {
+    const S = SmoothComponent;
+    const prev = S._priority;
+    S._priority = priority === 'user-blocking' || priority === 'idle' ? priority : 'normal';
+    try {
+      return fn && fn();
+    } finally {
+      S._priority = prev;
+    }
+  }
+
+  /**
+   * Marks the updates made inside `fn` as low priority, so they render in idle time slices
+   * and never hold up typing or clicks. A later urgent update to the same component wins.
+   *
+   * @param {Function} fn - The function performing the non-urgent updates.
+   * @returns {*} The return value of `fn`.
+   */
+  static startTransition(fn) {
+    return SmoothComponent.runWithPriority('idle', fn);
+  }
+
 
   constructor(element = null, initialState = {}, props = {}) {
     this.element = element;
@@ -80,6 +338,7 @@ export class SmoothComponent {
     this.props = { ...(props || {}) };
     this.events = new Map();
     this.children = [];
+    this.slots = {}; // name -> content supplied by the parent for this.slot(name)
     this.isRendering = false;
     this._pendingState = null;
     this._pendingProps = null;
@@ -88,6 +347,14 @@ export class SmoothComponent {
     this._pendingPortals = [];
     this._portalMap = new Map(); // id -> { targetEl, containerEl }
     this._delegatedHandlers = new Map(); // event -> root listener
+    this._pendingChildren = new Map(); // key -> { Comp, props } declared by the current template
+    this._childMap = new Map(); // key -> { Comp, inst } mounted child components
+    this._childListeners = new Map(); // key -> { eventName: handler } declared via `on:` props
+    this._contextSubscriptions = new Set(); // consumer sets this instance joined via useContext
+    this._uid = ++_nextUid; // prefixes binding ids so nested components never collide
+    this._bindings = new Map(); // binding id -> { kind: 'prop'|'event', name, value } for this render
+    this._boundEls = new Set(); // elements that received bindings in the last render
+    this._caughtError = null; // { error, component, phase } when acting as an error boundary
 
     this.onCreate();
   }
@@ -101,14 +368,120 @@ export class SmoothComponent {
   onStateChange(prevState, newState) {}
   
   onPropsChange(prevProps, newProps) {}
+
+  // Return false to skip a re-render; receives the state and props of the previous render
+  shouldUpdate(prevState, prevProps) { return true; }
+
+  // Runs before each re-render (not the first); its return value is passed to onUpdated()
+  beforeUpdate() {}
+
+  // Runs after each re-render once the DOM is patched, e.g. to measure or restore scroll
+  onUpdated(snapshot) {}
   
   get isMounted() {
     return !!this._mounted;
   }
+
+  // Nearest mounted ancestor component (by DOM position) matching the predicate
+  _findAncestor(predicate) {
+    let el = this.element ? this.element.parentElement : null;
+    while (el) {
+      const inst = SmoothComponent._byEl.get(el);
+      if (inst && inst !== this && inst.element === el && predicate(inst)) return inst;
+      el = el.parentElement;
+    }
+    return null;
+  }
+
+  // Error boundaries
+  _findBoundary() {
+    return this._findAncestor(inst => inst.constructor.errorBoundary);
+  }
+
+  // Hand an error to the nearest boundary ancestor; returns false when there is none
+  _reportError(error, phase) {
+    const boundary = this._findBoundary();
+    if (!boundary) return false;
+    boundary._catchError(error, { component: this, phase });
+    return true;
+  }
+
+  _catchError(error, info) {
+    this._caughtError = { error, ...info };
+    try { if (typeof this.onError === 'function') this.onError(error, info); } catch (e) { console.error('onError error:', e); }
+    if (info.component && info.component !== this) {
+      try { info.component.unmount(); } catch {}
+    }
+    if (this.isRendering) this._enqueueRender(); else this.render();
+  }
+
+  // Suspense: template() threw a promise; re-render once it settles
+  _suspend(promise) {
+    const boundary = this._findAncestor(inst => inst.constructor.suspense);
+    if (boundary) boundary._addPending(promise);
+    const retry = () => { if (this.element) this._enqueueRender(); };
+    promise.then(retry, retry);
+  }
+
+  reset() {
+    if (!this._caughtError) return;
+    this._caughtError = null;
+    this._enqueueRender();
+  }
+
+  _renderFallback(error) {
+    if (typeof this.renderError === 'function') return this.renderError(error);
+    return `<div style=\"color: red;\">Component Error: ${escapeHTML(error && error.message ? error.message : String(error))}</div>`;
+  }
   
   _enqueueRender() {
-    SmoothComponent._dirty.add(this);
-    SmoothComponent._scheduleFlush();
+    SmoothComponent._enqueue(this);
+  }
+
+  // Renders now, bypassing shouldUpdate()
+  forceUpdate() {
+    this._forceRender = true;
+    try { this.render(); } finally { this._forceRender = false; }
+  }
+
+  // Update lifecycle before template(): returns false when shouldUpdate() skips this render
+  _beginUpdate() {
+    const prevState = this._renderedState;
+    const prevProps = this._renderedProps;
+    this._snapshot = undefined;
+    if (this._mounted && !this._caughtError && !this._forceRender) {
+      // A skipped render keeps the last rendered snapshot as prev for the next check
+      if (this.shouldUpdate(prevState, prevProps) === false) return false;
+      this._snapshot = this.beforeUpdate();
+    }
+    this._renderedState = this.state;
+    this._renderedProps = this.props;
+    return true;
+  }
+
+  // Run fn while collecting the signals it reads; a change to any of them re-renders this instance
+  // Contexts are re-subscribed the same way: providers this render no longer read from are left
+  _track(fn) {
+    if (!this._observer) this._observer = createObserver(() => this._enqueueRender());
+    const previous = this._contextSubscriptions;
+    this._contextSubscriptions = new Set();
+    let done = false;
+    try {
+      const out = track(this._observer, fn);
+      done = true;
+      return out;
+    } finally {
+      for (const consumers of previous) {
+        // A render that threw keeps its earlier subscriptions
+        if (!done) this._contextSubscriptions.add(consumers);
+        else if (!this._contextSubscriptions.has(consumers)) consumers.delete(this);
+      }
+    }
+  }
+
+  setSlots(slots) {
+    this.slots = { ...(slots || {}) };
+    this._enqueueRender();
   }
 
   setChildren(children) {
@@ -125,6 +498,7 @@ export class SmoothComponent {
   setState(update) {
     const partial = typeof update === 'function' ? update({ ...this.state }) : update;
     if (!partial || typeof partial !== 'object') return;
+    if (this.constructor.pure && !_changes(this.state, partial)) return;
 
     if (this.isRendering) {
       // Queue updates during render and merge shallowly
@@ -145,18 +519,31 @@ export class SmoothComponent {
   setProps(update) {
     const partial = typeof update === 'function' ? update({ ...this.props }) : update;
     if (!partial || typeof partial !== 'object') return;
+    if (this._assignProps(partial)) this._enqueueRender();
+  }
+
+  // Merges props and calls onPropsChange; returns true when a render is due. Pure components
+  // still take props their comparison calls equal (e.g. fresh callbacks) but skip the update.
+  _assignProps(partial) {
     if (this.isRendering) {
       this._pendingProps = { ...(this._pendingProps || {}), ...partial };
-      return;
+      return false;
     }
     const prevProps = { ...this.props };
-    this.props = { ...this.props, ...partial };
+    const nextProps = { ...this.props, ...partial };
+    let equal = false;
+    if (this.constructor.pure) {
+      const { areEqual } = this.constructor;
+      equal = typeof areEqual === 'function' ? !!areEqual(prevProps, nextProps) : !_changes(prevProps, partial);
+    }
+    this.props = nextProps;
+    if (equal) return false;
     try {
       this.onPropsChange(prevProps, this.props);
     } catch (err) {
       console.error('onPropsChange error:', err);
     }
-    this._enqueueRender();
+    return true;
   }
   
   template() {
@@ -164,61 +551,180 @@ export class SmoothComponent {
   }
   
   html(strings, ...values) {
+    if (this.constructor.compiled) return new TemplateResult(strings, values, () => this._interpolate(strings, values, _escapeValue));
+    if (this.constructor.autoEscape) return new SafeHTML(this._interpolate(strings, values, _escapeValue));
+    return this._interpolate(strings, values, _rawValue);
+  }
+
+  // Joins template parts, turning `.prop=${v}` / `@event=${fn}` attributes into recorded bindings.
+  // Bindings inside one tag share a single data-smooth-bind attribute listing their ids.
+  _interpolate(strings, values, convert) {
     let result = '';
+    let markerEnd = -1; // insertion point inside the current tag's data-smooth-bind value
+    let closingQuote = '';
     for (let i = 0; i < strings.length; i++) {
-      result += strings[i];
-      if (i < values.length) {
-        const value = values[i];
-        if (value && value.__smooth_portal__ === true) {
-          // portal placeholder contributes nothing to inline HTML
-          result += '';
-        } else if (value == null) {
-          // null/undefined => empty string
-          result += '';
-        } else if (Array.isArray(value)) {
-          // arrays joined by comma per tests expectation
-          result += value.join(',');
+      let part = strings[i];
+      if (closingQuote && part[0] === closingQuote) part = part.slice(1);
+      closingQuote = '';
+      if (/[<>]/.test(part)) markerEnd = -1;
+      result += part;
+      if (i >= values.length) break;
+      // Binding names always come from the static template text right before the value
+      const m = _bindingPattern.exec(part);
+      if (m) {
+        result = result.slice(0, result.length - m[0].length);
+        const id = this._bind(m[1] === '@' ? 'event' : 'prop', m[2], values[i]);
+        if (markerEnd >= 0) {
+          result = result.slice(0, markerEnd) + ' ' + id + result.slice(markerEnd);
+          markerEnd += id.length + 1;
         } else {
-          result += String(value);
+          result += ` data-smooth-bind="${id}`;
+          markerEnd = result.length;
+          result += '"';
         }
+        closingQuote = m[3];
+        continue;
       }
+      const text = convert(values[i]);
+      if (/[<>]/.test(text)) markerEnd = -1;
+      result += text;
     }
     return result;
   }
 
+  _bind(kind, name, value) {
+    const id = `${this._uid}-${this._bindings.size}`;
+    this._bindings.set(id, { kind, name, value });
+    return id;
+  }
+
+  // Bindings of this component declared on an element (ids from other components are skipped)
+  _bindingsOf(el) {
+    const out = [];
+    const attr = el.getAttribute && el.getAttribute('data-smooth-bind');
+    if (!attr) return out;
+    for (const id of attr.split(' ')) {
+      const b = this._bindings.get(id);
+      if (b) out.push(b);
+    }
+    return out;
+  }
+
+  // Apply recorded property and event bindings to the patched DOM
+  _applyBindings() {
+    const prevEls = this._boundEls;
+    const nextEls = new Set();
+    if (this.element && this._bindings.size) {
+      for (const el of this.element.querySelectorAll('[data-smooth-bind]')) {
+        const bindings = this._bindingsOf(el);
+        if (!bindings.length) continue;
+        nextEls.add(el);
+        let listeners = _boundListeners.get(el);
+        const events = new Set();
+        for (const { kind, name, value } of bindings) {
+          if (kind === 'prop') {
+            if (el[name] !== value) el[name] = value;
+            continue;
+          }
+          events.add(name);
+          if (!listeners) { listeners = new Map(); _boundListeners.set(el, listeners); }
+          const rec = listeners.get(name);
+          if (rec) { rec.handler = value; continue; }
+          // The listener reads the latest handler, so re-renders swap it without re-binding
+          const entry = { handler: value, listener: null };
+          entry.listener = (e) => { if (typeof entry.handler === 'function') this._invokeHandler(entry.handler, e, name); };
+          el.addEventListener(name, entry.listener);
+          listeners.set(name, entry);
+        }
+        if (listeners) _unbindListeners(el, listeners, events);
+      }
+    }
+    for (const el of prevEls) {
+      const listeners = !nextEls.has(el) && _boundListeners.get(el);
+      if (listeners) _unbindListeners(el, listeners, null);
+    }
+    this._boundEls = nextEls;
+  }
+
+  // Markup this component trusts (children, slots); wrapped so auto-escaping and compiled templates keep it
+  _trust(markup) {
+    return this.constructor.autoEscape || this.constructor.compiled ? new SafeHTML(markup) : markup;
+  }
+
   // Composition helpers
   renderChildren() {
-    if (!this.children || this.children.length === 0) return '';
-    return this.children.map(ch => {
-      if (ch == null || ch === false) return '';
-      if (typeof ch === 'string') return ch;
-      if (ch instanceof Node) return ch.outerHTML || ch.textContent || '';
-      return String(ch);
-    }).join('');
+    if (!this.children || this.children.length === 0) return this._trust('');
+    return this._trust(this.children.map(_slotContent).join(''));
+  }
+
+  /**
+   * Returns the content the parent supplied for a named slot, or `fallback` when none was given.
+   * The `default` slot falls back to `renderChildren()` before `fallback`. Slot content may be
+   * a string, Node, array, or a function called with this component (scoped slot).
+   *
+   * @param {string} [name='default'] - The slot name.
+   * @param {*} [fallback=''] - Content rendered when the slot is empty.
+   * @returns {string} The slot markup.
+   */
+  slot(name = 'default', fallback = '') {
+    let content = this.slots ? this.slots[name] : undefined;
+    if (typeof content === 'function') content = content(this);
+    if (content == null || content === false) {
+      if (name === 'default' && this.children && this.children.length) return this.renderChildren();
+      content = typeof fallback === 'function' ? fallback(this) : fallback;
+    }
+    return this._trust(_slotContent(content));
+  }
+
+  hasSlot(name = 'default') {
+    const content = this.slots ? this.slots[name] : undefined;
+    if (content != null && content !== false) return true;
+    return name === 'default' && !!(this.children && this.children.length);
   }
 
   provideContext(ctx, value) {
     if (!ctx || !ctx.id) return;
-    const apply = (el) => {
-      if (!el) return;
-      let map = _contextRegistry.get(el);
-      if (!map) { map = new Map(); _contextRegistry.set(el, map); }
-      map.set(ctx.id, value);
-    };
     this._contexts = this._contexts || new Set();
     this._contexts.add(ctx.id);
-    if (this.element) apply(this.element); else {
+    if (this.element) this._applyContext(ctx.id, value); else {
       this._pendingContext = this._pendingContext || [];
       this._pendingContext.push({ id: ctx.id, value });
     }
   }
 
+  // Store a provided value on this element; a changed value re-renders the descendants reading it
+  _applyContext(id, value) {
+    const el = this.element;
+    let map = _contextRegistry.get(el);
+    if (!map) { map = new Map(); _contextRegistry.set(el, map); }
+    const changed = map.has(id) && !Object.is(map.get(id), value);
+    map.set(id, value);
+    if (!changed) return;
+    const byId = _contextSubscribers.get(el);
+    const consumers = byId && byId.get(id);
+    if (!consumers) return;
+    for (const inst of Array.from(consumers)) {
+      if (inst === this) continue;
+      if (!inst.element || !el.contains(inst.element)) { consumers.delete(inst); continue; }
+      inst._enqueueRender();
+    }
+  }
+
   useContext(ctx) {
     if (!ctx || !ctx.id) return ctx ? ctx.defaultValue : undefined;
     let el = this.element;
     while (el) {
       const map = _contextRegistry.get(el);
-      if (map && map.has(ctx.id)) return map.get(ctx.id);
+      if (map && map.has(ctx.id)) {
+        // Subscribe so the provider's next change re-renders this component
+        let byId = _contextSubscribers.get(el);
+        if (!byId) { byId = new Map(); _contextSubscribers.set(el, byId); }
+        let consumers = byId.get(ctx.id);
+        if (!consumers) { consumers = new Set(); byId.set(ctx.id, consumers); }
+        consumers.add(this);
+        this._contextSubscriptions.add(consumers);
+        return map.get(ctx.id);
+      }
       el = el.parentElement;
     }
     return ctx.defaultValue;
@@ -232,6 +738,94 @@ export class SmoothComponent {
     return { __smooth_portal__: true, id };
   }
   
+  child(Comp, props = {}, key = null) {
+    // Declare a child component; html() emits a host placeholder that render() mounts into
+    const index = this._pendingChildren.size;
+    const k = key != null ? String(key) : `${(Comp && Comp.name) || 'child'}:${index}`;
+    // `on:name` entries listen for this child's emit('name'), `slot:name` entries fill its
+    // slots; everything else is a prop
+    const childProps = {};
+    const listeners = {};
+    const slots = {};
+    for (const [p, v] of Object.entries(props || {})) {
+      if (p.startsWith('on:')) listeners[p.slice(3)] = v;
+      else if (p.startsWith('slot:')) slots[p.slice(5)] = v;
+      else childProps[p] = v;
+    }
+    this._pendingChildren.set(k, { Comp, props: childProps, listeners, slots });
+    const attr = k.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    const keyAttr = key != null ? ` data-key="child:${attr}"` : '';
+    const markup = `<div data-smooth-child="${attr}"${keyAttr}></div>`;
+    return { __smooth_child__: true, key: k, toString() { return markup; } };
+  }
+
+  _processChildren() {
+    const pending = this._pendingChildren;
+    this._pendingChildren = new Map();
+    this._childListeners = new Map();
+    for (const [k, spec] of pending) {
+      if (Object.keys(spec.listeners).length) this._childListeners.set(k, spec.listeners);
+    }
+    if (!this.element) return;
+    // Collect hosts owned by this component (skip hosts nested inside child components)
+    const hosts = new Map();
+    for (const host of this.element.querySelectorAll('[data-smooth-child]')) {
+      let owned = true;
+      for (let el = host.parentElement; el && el !== this.element; el = el.parentElement) {
+        if (el.hasAttribute('data-smooth-child')) { owned = false; break; }
+      }
+      if (owned) hosts.set(host.getAttribute('data-smooth-child'), host);
+    }
+    // Unmount children that were removed or whose component class changed
+    for (const [k, rec] of this._childMap) {
+      const spec = pending.get(k);
+      if (!hosts.has(k) || !spec || spec.Comp !== rec.Comp) {
+        try { rec.inst.unmount(); } catch (e) { console.error('child unmount error:', e); }
+        this._childMap.delete(k);
+      }
+    }
+    // Mount new children and pass fresh props to reused ones
+    for (const [k, host] of hosts) {
+      const spec = pending.get(k);
+      if (!spec || typeof spec.Comp !== 'function') continue;
+      const rec = this._childMap.get(k);
+      if (!rec) {
+        const inst = new spec.Comp(null, undefined, spec.props);
+        this._childMap.set(k, { Comp: spec.Comp, inst });
+        inst.mount(host, { props: spec.props, slots: spec.slots });
+        continue;
+      }
+      const { inst } = rec;
+      const changed = Object.keys(spec.props).some(p => !Object.is(inst.props[p], spec.props[p]));
+      if (inst.element !== host) {
+        // Host node was replaced by the patcher; move the instance over and render into it
+        inst._rehost(host);
+        if (changed) inst._assignProps(spec.props);
+        inst.slots = { ...spec.slots };
+        inst.forceUpdate();
+        continue;
+      }
+      const prevSlots = inst.slots || {};
+      const slotNames = new Set([...Object.keys(prevSlots), ...Object.keys(spec.slots)]);
+      if ([...slotNames].some(n => !Object.is(prevSlots[n], spec.slots[n]))) inst.setSlots(spec.slots);
+      if (changed) inst.setProps(spec.props);
+    }
+  }
+
+  _rehost(el) {
+    const prev = this.element;
+    if (prev && this._delegatedHandlers.size) {
+      for (const [evt, fn] of this._delegatedHandlers.entries()) prev.removeEventListener(evt, fn);
+      this._delegatedHandlers.clear();
+    }
+    // Carry provided context values (and their consumers) over to the new element
+    const map = prev ? _contextRegistry.get(prev) : null;
+    if (map) { _contextRegistry.set(el, map); _contextRegistry.delete(prev); }
+    const subs = prev ? _contextSubscribers.get(prev) : null;
+    if (subs) { _contextSubscribers.set(el, subs); _contextSubscribers.delete(prev); }
+    this.element = el;
+  }
+
   _processPortals() {
     if (!this._pendingPortals || this._pendingPortals.length === 0) return;
     for (const p of this._pendingPortals) {
@@ -278,6 +872,13 @@ export class SmoothComponent {
   _getKey(node) {
     return this._isElement(node) ? (node.getAttribute('data-key') || null) : null;
   }
+  _childKey(node) {
+    return this._isElement(node) ? node.getAttribute('data-smooth-child') : null;
+  }
+  _hostsOther(node) {
+    const inst = SmoothComponent._byEl.get(node);
+    return !!inst && inst !== this && inst.element === node;
+  }
   _setAttributes(el, fromEl) {
     // Remove old attrs not in fromEl
     const oldAttrs = el.attributes;
@@ -290,11 +891,13 @@ export class SmoothComponent {
       const { name, value } = fromEl.attributes[i];
       if (el.getAttribute(name) !== value) el.setAttribute(name, value);
     }
-    // Sync common properties for form elements
+    keepTransitionClasses(el);
+    // Sync common properties for form elements (unless a `.prop=` binding owns them)
     if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') {
-      if ('value' in fromEl && el.value !== fromEl.value) el.value = fromEl.value;
-      if ('checked' in fromEl && el.checked !== fromEl.checked) el.checked = fromEl.checked;
-      if ('disabled' in fromEl) el.disabled = fromEl.disabled;
+      const bound = new Set(this._bindingsOf(fromEl).map(b => b.name));
+      if ('value' in fromEl && !bound.has('value') && el.value !== fromEl.value) el.value = fromEl.value;
+      if ('checked' in fromEl && !bound.has('checked') && el.checked !== fromEl.checked) el.checked = fromEl.checked;
+      if ('disabled' in fromEl && !bound.has('disabled')) el.disabled = fromEl.disabled;
     }
   }
   _patch(parent, oldNode, newNode) {
@@ -306,7 +909,7 @@ export class SmoothComponent {
       parent.removeChild(oldNode);
       return;
     }
-    if (!this._sameType(oldNode, newNode)) {
+    if (!this._sameType(oldNode, newNode) || this._childKey(oldNode) !== this._childKey(newNode)) {
       parent.replaceChild(newNode.cloneNode(true), oldNode);
       return;
     }
@@ -314,11 +917,19 @@ export class SmoothComponent {
       if (oldNode.nodeValue !== newNode.nodeValue) oldNode.nodeValue = newNode.nodeValue;
       return;
     }
+    if (this._childKey(oldNode) != null || this._hostsOther(oldNode)) {
+      // Child component host (or an element another component is mounted into, such as a
+      // router outlet): its contents are owned by that instance
+      this._setAttributes(oldNode, newNode);
+      return;
+    }
     // Element nodes of same tag
     this._setAttributes(oldNode, newNode);
     this._patchChildren(oldNode, Array.from(oldNode.childNodes), Array.from(newNode.childNodes));
   }
   _patchChildren(parentEl, oldChildren, newChildren) {
+    // Nodes still playing a leave transition are not part of the reconciled list
+    if (hasLeaving(parentEl)) oldChildren = oldChildren.filter(n => !isLeaving(n));
     // Determine if keyed reconciliation should be used
     const hasKeys = newChildren.some(n => this._getKey(n) != null) || oldChildren.some(n => this._getKey(n) != null);
     if (hasKeys) {
@@ -327,13 +938,14 @@ export class SmoothComponent {
         const k = this._getKey(child);
         if (k != null) oldMap.set(String(k), { child, idx });
       });
-      let lastPlacedIndex = 0;
+      // FLIP: remember where transition-enabled nodes were before patching
+      const positions = recordPositions(oldChildren);
       let i = 0;
       for (const newChild of newChildren) {
         const key = this._getKey(newChild);
         if (key == null) {
-          // unkeyed new child, try to align by position relative to lastPlacedIndex
-          const oldAtI = parentEl.childNodes[i];
+          // unkeyed new child, align by position
+          const oldAtI = liveChildAt(parentEl, i);
           this._patch(parentEl, oldAtI || null, newChild);
           i++;
           continue;
@@ -342,10 +954,8 @@ export class SmoothComponent {
         if (rec) {
           // Move existing node to correct position if needed and patch
           const currentNode = rec.child;
-          // Find current index of currentNode
-          const currentIndex = Array.prototype.indexOf.call(parentEl.childNodes, currentNode);
-          const referenceNode = parentEl.childNodes[i] || null;
-          if (currentIndex !== i) {
+          const referenceNode = liveChildAt(parentEl, i);
+          if (currentNode !== referenceNode) {
             parentEl.insertBefore(currentNode, referenceNode);
           }
           this._patch(parentEl, currentNode, newChild);
@@ -353,19 +963,21 @@ export class SmoothComponent {
           i++;
         } else {
           // New node, insert at position i
-          const ref = parentEl.childNodes[i] || null;
-          parentEl.insertBefore(newChild.cloneNode(true), ref);
+          const node = newChild.cloneNode(true);
+          parentEl.insertBefore(node, liveChildAt(parentEl, i));
+          enter(node);
           i++;
         }
       }
       // Remove any remaining old keyed nodes not present in newChildren
       oldMap.forEach(({ child }) => {
-        if (child.parentNode === parentEl) parentEl.removeChild(child);
+        if (child.parentNode === parentEl) leave(child);
       });
       // Remove extra trailing nodes if newChildren shorter
-      while (parentEl.childNodes.length > newChildren.length) {
-        parentEl.removeChild(parentEl.lastChild);
+      while (liveCount(parentEl) > newChildren.length) {
+        leave(liveChildAt(parentEl, liveCount(parentEl) - 1));
       }
+      playMoves(positions);
       return;
     }
     // Non-keyed: patch by index
@@ -380,17 +992,15 @@ export class SmoothComponent {
   render() {
     if (typeof document === 'undefined') return;
     if (!this.element || this.isRendering) return;
+    // A render supersedes any queued one for this instance
+    SmoothComponent._dequeue(this);
     
     // Register element-instance mapping
     try { if (this.element) this.constructor._byEl.set(this.element, this); } catch {}
 
     // Apply any pending context entries now that we have an element
     if (this._pendingContext && this.element) {
-      for (const entry of this._pendingContext) {
-        let map = _contextRegistry.get(this.element);
-        if (!map) { map = new Map(); _contextRegistry.set(this.element, map); }
-        map.set(entry.id, entry.value);
-      }
+      for (const entry of this._pendingContext) this._applyContext(entry.id, entry.value);
       this._pendingContext = null;
     }
     
@@ -411,32 +1021,51 @@ export class SmoothComponent {
 
     try {
       this.isRendering = true;
+      if (!this._beginUpdate()) return;
+      this._pendingChildren = new Map();
+      this._bindings = new Map();
       
-      const html = this.template();
-      // Build a temporary container for the new content
-      const container = document.createElement('div');
-      if (html == null) {
-        container.innerHTML = '';
-      } else if (typeof html === 'string') {
-        container.innerHTML = html;
-      } else if (html instanceof Node) {
-        container.appendChild(html.cloneNode(true));
-      } else {
-        container.textContent = String(html);
+      let committed = false;
+      // Compiled parts and their string fallback read values (e.g. signals) only when committed
+      // or stringified, so that happens inside the tracked scope as well
+      const build = () => {
+        let out = this._caughtError ? this._renderFallback(this._caughtError.error) : this.template();
+        if (out instanceof TemplateResult) committed = this._commitTemplate(out);
+        if (!committed && isSafeHTML(out)) out = String(out);
+        return out;
+      };
+      let html = this._caughtError ? build() : this._track(build);
+      if (!committed) {
+        this._templateInstance = null;
+        // Build a temporary container for the new content
+        const container = document.createElement('div');
+        if (html == null) {
+          container.innerHTML = '';
+        } else if (typeof html === 'string') {
+          container.innerHTML = html;
+        } else if (html instanceof Node) {
+          container.appendChild(html.cloneNode(true));
+        } else {
+          container.textContent = String(html);
+        }
+        // Patch children of root element to match the new content
+        this._patchChildren(
+          this.element,
+          Array.from(this.element.childNodes),
+          Array.from(container.childNodes)
+        );
       }
-      // Patch children of root element to match the new content
-      this._patchChildren(
-        this.element,
-        Array.from(this.element.childNodes),
-        Array.from(container.childNodes)
-      );
+      this._applyBindings();
+      this._processChildren();
       this.bindEvents();
       // Process any pending portals after main patch
       try { this._processPortals && this._processPortals(); } catch (e) { console.error('portal processing error:', e); }
       const firstMount = !this._mounted;
       if (firstMount) {
         this._mounted = true;
-        try { this.onMount(); } catch (e) { console.error('onMount error:', e); }
+        try { this.onMount(); } catch (e) { if (!this._reportError(e, 'mount')) console.error('onMount error:', e); }
+      } else {
+        try { this.onUpdated(this._snapshot); } catch (e) { if (!this._reportError(e, 'update')) console.error('onUpdated error:', e); }
       }
 
       // Restore focus if possible
@@ -460,20 +1089,30 @@ export class SmoothComponent {
         }
       }
     } catch (error) {
+      if (error && typeof error.then === 'function') {
+        // A thrown promise means "not ready yet" rather than a failure
+        this._suspend(error);
+        return;
+      }
+      this._templateInstance = null;
       try { if (typeof this.onError === 'function') this.onError(error); } catch (e) { console.error('onError error:', e); }
       if (_shouldLogErrors()) console.error(`Error rendering component:`, error);
       try { if (typeof window !== 'undefined' && window && window.dispatchEvent) window.dispatchEvent(new CustomEvent('smooth:error', { detail: { error, component: this } })); } catch {}
+      // Without a local renderError, let the nearest boundary ancestor render its fallback
+      if (typeof this.renderError !== 'function' && this._reportError(error, 'render')) return;
       if (this.element) {
         try {
           if (typeof this.renderError === 'function') {
             const fallback = this.renderError(error) || '';
             const c = document.createElement('div');
-            if (typeof fallback === 'string') c.innerHTML = fallback; else if (fallback instanceof Node) c.appendChild(fallback);
+            if (typeof fallback === 'string' || isSafeHTML(fallback)) c.innerHTML = String(fallback); else if (fallback instanceof Node) c.appendChild(fallback);
             this._patchChildren(this.element, Array.from(this.element.childNodes), Array.from(c.childNodes));
+            this._applyBindings();
+            this._processChildren();
             // Bind events for fallback UI too
             this.bindEvents();
           } else {
-            this.element.innerHTML = `<div style=\"color: red;\">Component Error: ${error && error.message ? error.message : String(error)}</div>`;
+            this.element.innerHTML = `<div style=\"color: red;\">Component Error: ${escapeHTML(error && error.message ? error.message : String(error))}</div>`;
           }
         } catch (e2) {
           this.element.innerHTML = `<div style=\"color: red;\">Component Error</div>`;
@@ -490,6 +1129,24 @@ export class SmoothComponent {
     }
   }
   
+  // Commits a compiled template: the first render (or a different root template) clones it,
+  // later renders only update its dynamic parts. Returns false when the template can't be compiled.
+  _commitTemplate(result) {
+    const template = compileTemplate(result.strings);
+    if (!template) return false;
+    let inst = this._templateInstance;
+    if (inst && inst.template === template) {
+      inst.update(result.values);
+      return true;
+    }
+    inst = new TemplateInstance(template, this);
+    inst.update(result.values);
+    while (this.element.firstChild) this.element.removeChild(this.element.firstChild);
+    this.element.appendChild(inst.fragment);
+    this._templateInstance = inst;
+    return true;
+  }
+
   bindEvents() {
     if (!this.element) return;
     // Tear down any previous delegated handlers
@@ -504,12 +1161,21 @@ export class SmoothComponent {
     // Build delegation table: event -> [{ sel, handler }]
     const table = new Map();
     this.events.forEach((handler, key) => {
-      const idx = key.indexOf(':');
+      // Keys are `event` or `event:selector`; emitted event names carry their own colon
+      const idx = key.indexOf(':', key.startsWith(_emitPrefix) ? _emitPrefix.length : 0);
       const event = idx >= 0 ? key.slice(0, idx) : key;
       const sel = idx >= 0 ? key.slice(idx + 1) : null;
       if (!table.has(event)) table.set(event, []);
       table.get(event).push({ sel, handler });
     });
+    // Declarative `on:name` listeners from child(); only events emitted by that child itself match
+    for (const [k, listeners] of this._childListeners) {
+      for (const name of Object.keys(listeners)) {
+        const event = `${_emitPrefix}${name}`;
+        if (!table.has(event)) table.set(event, []);
+        table.get(event).push({ sel: null, handler: (e) => this._dispatchChildEvent(k, name, e) });
+      }
+    }
     // Attach a single listener per event on the root element
     for (const [evt, rules] of table.entries()) {
       const listener = (e) => {
@@ -520,13 +1186,19 @@ export class SmoothComponent {
             try { matchEl = e.target && this.element && this.element.contains(e.target) ? e.target.closest(sel) : null; } catch {}
             if (matchEl && this.element.contains(matchEl)) {
               // Proxy event with currentTarget set to matched element for ergonomics
-              const proxy = Object.create(e);
-              try { Object.defineProperty(proxy, 'currentTarget', { value: matchEl, enumerable: true }); } catch {}
-              handler(proxy);
+              // (a Proxy so native getters like target/detail still run against the real event)
+              const proxy = new Proxy(e, {
+                get(target, prop) {
+                  if (prop === 'currentTarget') return matchEl;
+                  const value = Reflect.get(target, prop, target);
+                  return typeof value === 'function' ? value.bind(target) : value;
+                }
+              });
+              this._invokeHandler(handler, proxy, evt);
             }
           } else {
             // No selector: call handler for any event bubbling to root
-            handler(e);
+            this._invokeHandler(handler, e, evt);
           }
         }
       };
@@ -535,6 +1207,40 @@ export class SmoothComponent {
     }
   }
   
+  _dispatchChildEvent(key, name, e) {
+    const rec = this._childMap.get(key);
+    if (!rec || e.target !== rec.inst.element) return;
+    const listeners = this._childListeners && this._childListeners.get(key);
+    const listener = listeners && listeners[name];
+    const fn = typeof listener === 'string' ? this[listener] : listener;
+    if (typeof fn === 'function') fn.call(this, e.detail, e);
+  }
+
+  /**
+   * Dispatches a component event from this component's root element. The DOM event is a
+   * bubbling, cancelable CustomEvent named `smooth:<name>` carrying `detail`; parents listen
+   * with `child(Comp, { 'on:<name>': handler })` or `this.on('smooth:<name>', selector, fn)`.
+   *
+   * @param {string} name - The event name, e.g. 'save'.
+   * @param {*} [detail] - Payload exposed as `event.detail` (and as the first listener argument).
+   * @param {Object} [options] - Extra CustomEvent init options (`bubbles`, `cancelable`, `composed`).
+   * @returns {boolean} False if a listener called `preventDefault()`, true otherwise.
+   */
+  emit(name, detail, options = {}) {
+    if (!this.element || typeof name !== 'string' || !name) return false;
+    if (typeof CustomEvent !== 'function') return true;
+    const event = new CustomEvent(`${_emitPrefix}${name}`, { bubbles: true, cancelable: true, ...options, detail });
+    return this.element.dispatchEvent(event);
+  }
+
+  _invokeHandler(handler, e, type) {
+    try {
+      SmoothComponent.runWithPriority(_discreteEvents.has(type) ? 'user-blocking' : 'normal', () => handler(e));
+    } catch (err) {
+      if (!this._reportError(err, 'event')) throw err;
+    }
+  }
+
   on(event, selector, handler) {
     if (typeof event !== 'string' || !event) return this;
     if (typeof selector === 'function') {
@@ -559,6 +1265,7 @@ export class SmoothComponent {
     if (options && typeof options === 'object') {
       if (options.props && typeof options.props === 'object') this.props = { ...this.props, ...options.props };
       if (Array.isArray(options.children)) this.children = options.children.slice();
+      if (options.slots && typeof options.slots === 'object') this.slots = { ...options.slots };
     }
     if (typeof selector === 'string') {
       this.element = document.querySelector(selector);
@@ -582,6 +1289,7 @@ export class SmoothComponent {
       if (options.props && typeof options.props === 'object') this.props = { ...this.props, ...options.props };
       if (options.state && typeof options.state === 'object') this.state = { ...this.state, ...options.state };
       if (Array.isArray(options.children)) this.children = options.children.slice();
+      if (options.slots && typeof options.slots === 'object') this.slots = { ...options.slots };
     }
     if (typeof selector === 'string') {
       this.element = document.querySelector(selector);
@@ -592,9 +1300,10 @@ export class SmoothComponent {
       console.warn(`Element not found for hydrate: ${selector}`);
       return this;
     }
+    try { this.constructor._byEl.set(this.element, this); } catch {}
     this.bindEvents();
     this._mounted = true;
-    try { this.onMount(); } catch (e) { console.error('onMount error during hydrate:', e); }
+    try { this.onMount(); } catch (e) { if (!this._reportError(e, 'mount')) console.error('onMount error during hydrate:', e); }
     return this;
   }
   
@@ -605,6 +1314,15 @@ export class SmoothComponent {
       } catch (err) {
         console.error('onUnmount error:', err);
       }
+      // Stop reacting to signals read by the last render
+      dispose(this._observer);
+      // Unmount child components declared via child()
+      if (this._childMap && this._childMap.size) {
+        for (const { inst } of this._childMap.values()) {
+          try { inst.unmount(); } catch (e) { console.error('child unmount error:', e); }
+        }
+        this._childMap.clear();
+      }
       // Clean up portals
       if (this._portalMap) {
         try {
@@ -616,8 +1334,10 @@ export class SmoothComponent {
         } catch {}
         this._portalMap.clear();
       }
-      // Clear context entries for this element
-      try { if (this.element) _contextRegistry.delete(this.element); } catch {}
+      // Clear context entries for this element and drop this component's subscriptions
+      try { if (this.element) { _contextRegistry.delete(this.element); _contextSubscribers.delete(this.element); } } catch {}
+      for (const consumers of this._contextSubscriptions) consumers.delete(this);
+      this._contextSubscriptions.clear();
       // Remove delegated root listeners
       if (this._delegatedHandlers && this._delegatedHandlers.size) {
         try {
@@ -630,6 +1350,7 @@ export class SmoothComponent {
       this.events.clear();
       this.element.innerHTML = '';
       this.element = null;
+      this._templateInstance = null;
       this._mounted = false;
     }
     // Clear children to release references
@@ -0,0 +1,103 @@
+import { SmoothComponent } from './SmoothComponent.js';
+
+/**
+ * Shows a fallback while any descendant component is waiting on a promise. A component
+ * signals that it is waiting by throwing a promise from `template()` (for example via
+ * `useQuery(key, fetcher, { suspense: true })` or a `lazy()` component). Suspended content
+ * stays mounted but hidden, so it keeps its state and re-renders when the promise settles.
+ *
+ * Props:
+ * - `component`: Optional component class to render inside the boundary (mounted via `child()`).
+ * - `props`: Props passed to `component`.
+ * - `fallback`: String, Node, or function returning one, rendered while promises are pending.
+ */
+export class Suspense extends SmoothComponent {
+  static suspense = true;
+
+  constructor(element = null, initialState = {}, props = {}) {
+    super(element, initialState, props);
+    this._pending = new Set();
+  }
+
+  get pending() {
+    return this._pending.size > 0;
+  }
+
+  _addPending(promise) {
+    if (this._pending.has(promise)) return;
+    this._pending.add(promise);
+    const done = () => {
+      this._pending.delete(promise);
+      if (this._pending.size === 0) this._enqueueRender();
+    };
+    promise.then(done, done);
+    if (this._pending.size === 1) {
+      if (this.isRendering) this._enqueueRender(); else this.render();
+    }
+  }
+
+  render() {
+    const wasPending = this.pending;
+    super.render();
+    // Descendants mounted during this render suspended: show the fallback without waiting a tick
+    if (!wasPending && this.pending && this.element) {
+      super.render();
+    }
+  }
+
+  template() {
+    const { component, props, fallback } = this.props;
+    const waiting = this.pending;
+    let fb = '';
+    if (waiting) {
+      const out = typeof fallback === 'function' ? fallback.call(this) : fallback;
+      fb = this.html`<div data-suspense-fallback>${this._trust(out instanceof Node ? out.outerHTML : String(out ?? '<div role="status" aria-busy="true">Loading...</div>'))}</div>`;
+    }
+    return this.html`<div data-suspense-content${waiting ? ' hidden' : ''}>${component ? this.child(component, props || {}, 'suspense') : ''}${this.renderChildren()}</div>${fb}`;
+  }
+}
+
+/**
+ * Wraps an async component loader (e.g. `() => import('./Page.js')`) in a component class.
+ * Until the module loads the component suspends, so the nearest `Suspense` shows its fallback;
+ * a failed load is thrown to the nearest error boundary, and rendering again (e.g. after
+ * `reset()`) retries the loader. Slots and children are passed on to the loaded component.
+ * Supports default exports.
+ *
+ * @param {Function} loader - Returns a promise resolving to a component class or module.
+ * @returns {Function} A component class that renders the loaded component with the same props.
+ */
+export function lazy(loader) {
+  if (typeof loader !== 'function') throw new Error('lazy expects a loader function');
+  let Loaded = null;
+  let error = null;
+  let promise = null;
+
+  class LazyComponent extends SmoothComponent {
+    template() {
+      if (error) {
+        // Throw the failure once; the next render (e.g. after a boundary reset) loads again
+        const failure = error;
+        error = null;
+        throw failure;
+      }
+      if (!Loaded) {
+        if (!promise) {
+          promise = Promise.resolve()
+            .then(loader)
+            .then((mod) => { Loaded = mod && mod.default ? mod.default : mod; }, (err) => { error = err; promise = null; });
+        }
+        throw promise;
+      }
+      // Slots and children pass through as `slot:` props; children fill the default slot
+      const forwarded = { ...this.props };
+      for (const [name, content] of Object.entries(this.slots || {})) forwarded[`slot:${name}`] = content;
+      if (forwarded['slot:default'] == null && this.children && this.children.length) forwarded['slot:default'] = this.children;
+      return this.html`${this.child(Loaded, forwarded, 'lazy')}`;
+    }
+  }
+
+  return LazyComponent;
+}
+
+export default Suspense;
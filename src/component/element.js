@@ -0,0 +1,206 @@
+import { escapeHTML } from '../security/index.js';
+
+// Style elements written by Velvet (class styles and the style registry)
+const _velvetStyleIds = ['velvet-styles', 'velvet-registry'];
+
+const _kebab = (name) => name.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+const _camel = (name) => name.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+
+// Converts an attribute value for a prop declared with a type (String, Number, Boolean, Object/Array or a function)
+function _fromAttribute(value, type) {
+  if (type === Boolean) return value != null;
+  if (value == null) return undefined;
+  if (type === Number) return Number(value);
+  if (type === Object || type === Array) {
+    try { return JSON.parse(value); } catch { return undefined; }
+  }
+  if (typeof type === 'function' && type !== String) return type(value);
+  return value;
+}
+
+// Light-DOM content as component children, with `slot="name"` elements as named slots
+function _lightContent(el) {
+  const children = [];
+  const slots = {};
+  for (const node of Array.from(el.childNodes)) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      const name = node.getAttribute('slot');
+      if (name) slots[name] = (slots[name] || '') + node.outerHTML;
+      else children.push(node.outerHTML);
+    } else if (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim()) {
+      children.push(escapeHTML(node.nodeValue));
+    }
+  }
+  return { children, slots };
+}
+
+// Keeps a copy of Velvet's global styles inside a shadow root; returns a function that stops it
+function _mirrorVelvetStyles(root) {
+  const style = document.createElement('style');
+  style.setAttribute('data-velvet', '');
+  root.appendChild(style);
+  const sync = () => {
+    const css = _velvetStyleIds.map(id => {
+      const el = document.getElementById(id);
+      return el ? el.textContent : '';
+    }).join('\n');
+    if (style.textContent !== css) style.textContent = css;
+  };
+  sync();
+  let observer = null;
+  if (typeof MutationObserver === 'function' && document.head) {
+    observer = new MutationObserver(sync);
+    observer.observe(document.head, { childList: true, subtree: true, characterData: true });
+  }
+  return () => {
+    if (observer) observer.disconnect();
+    if (style.parentNode) style.parentNode.removeChild(style);
+  };
+}
+
+/**
+ * Registers a custom element that renders a component, so SmoothJS widgets can be used
+ * from plain HTML, CMS templates or other frameworks.
+ *
+ * - Observed props are read from kebab-case attributes (`userId` <- `user-id`) and from
+ *   element properties (`el.userId = 42`), and passed to the component with `setProps`.
+ * - Light-DOM content becomes the component's `children`; elements with `slot="name"`
+ *   fill named slots.
+ * - For every name in `events`, the component gets an `on<Name>` callback prop, and its
+ *   `emit(name)` events are re-dispatched; both dispatch a bubbling, composed DOM
+ *   CustomEvent `name` from the element with the callback argument (or emitted detail).
+ * - With `shadow`, the component renders into a shadow root and Velvet's styles are
+ *   copied into it and kept in sync (disable with `velvet: false`).
+ *
+ * The component is unmounted when the element leaves the document; moving the element
+ * within the same task keeps it mounted.
+ *
+ * @param {string} tagName - The custom element name (must contain a hyphen).
+ * @param {Function} Comp - A SmoothComponent subclass or defineComponent() result.
+ * @param {Object} [options={}]
+ * @param {string[]|Object} [options.observedProps=[]] - Prop names, or a map of prop name to
+ *   type (String, Number, Boolean, Object/Array for JSON, or a converter function).
+ * @param {boolean|string} [options.shadow=false] - Render in a shadow root; `'closed'` for a closed one.
+ * @param {string[]} [options.events=[]] - Component events to expose as DOM events.
+ * @param {boolean} [options.velvet=true] - Copy Velvet styles into the shadow root.
+ * @returns {Function|null} The element class, or null where custom elements are unavailable.
+ */
+export function defineElement(tagName, Comp, options = {}) {
+  if (typeof Comp !== 'function') throw new Error('defineElement expects a component class');
+  if (typeof customElements === 'undefined' || typeof HTMLElement === 'undefined') return null;
+  const { observedProps = [], shadow = false, events = [], velvet = true } = options;
+  const types = Array.isArray(observedProps)
+    ? Object.fromEntries(observedProps.map(p => [p, String]))
+    : { ...observedProps };
+  const attrToProp = new Map(Object.keys(types).map(p => [_kebab(p), p]));
+
+  class SmoothElement extends HTMLElement {
+    static get observedAttributes() {
+      return Array.from(attrToProp.keys());
+    }
+
+    constructor() {
+      super();
+      this._props = {};
+      this._component = null;
+      this._light = null;
+      this._root = null;
+      this._shadow = null;
+      this._stopStyles = null;
+      this._relays = [];
+      this._connected = false;
+    }
+
+    /** The mounted component instance, or null while disconnected. */
+    get component() {
+      return this._component;
+    }
+
+    connectedCallback() {
+      this._connected = true;
+      if (!this._component) this._mount();
+    }
+
+    disconnectedCallback() {
+      this._connected = false;
+      // Defer teardown so moving the element keeps the component and its state
+      Promise.resolve().then(() => {
+        if (!this._connected && this._component) this._unmount();
+      });
+    }
+
+    attributeChangedCallback(attr, oldValue, value) {
+      if (oldValue === value) return;
+      const prop = attrToProp.get(attr);
+      if (prop) this._setProp(prop, _fromAttribute(value, types[prop]));
+    }
+
+    _setProp(name, value) {
+      this._props[name] = value;
+      if (this._component) this._component.setProps({ [name]: value });
+    }
+
+    _dispatch(name, detail) {
+      this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+    }
+
+    _mount() {
+      // Properties assigned before the element was upgraded shadow the accessors
+      for (const prop of Object.keys(types)) {
+        if (Object.prototype.hasOwnProperty.call(this, prop)) {
+          const value = this[prop];
+          delete this[prop];
+          this._props[prop] = value;
+        }
+      }
+      if (!this._light) this._light = _lightContent(this);
+      let root = this;
+      if (shadow) {
+        this._shadow = this._shadow || this.attachShadow({ mode: shadow === 'closed' ? 'closed' : 'open' });
+        if (velvet) this._stopStyles = _mirrorVelvetStyles(this._shadow);
+        root = document.createElement('div');
+        root.setAttribute('data-smooth-root', '');
+        this._shadow.appendChild(root);
+      } else {
+        while (this.firstChild) this.removeChild(this.firstChild);
+      }
+      this._root = root;
+
+      const callbacks = {};
+      for (const name of events) {
+        callbacks[_camel(`on-${name}`)] = (...args) => this._dispatch(name, args.length > 1 ? args : args[0]);
+        // Re-dispatch emit(name) from the component's own element
+        const relay = (e) => { if (e.target === root) this._dispatch(name, e.detail); };
+        root.addEventListener(`smooth:${name}`, relay);
+        this._relays.push([`smooth:${name}`, relay]);
+      }
+      const props = { ...callbacks, ...this._props };
+      this._component = new Comp(null, undefined, props);
+      this._component.mount(root, { props, children: this._light.children, slots: this._light.slots });
+    }
+
+    _unmount() {
+      const root = this._root;
+      try { this._component.unmount(); } catch (e) { console.error('element unmount error:', e); }
+      this._component = null;
+      for (const [type, relay] of this._relays) root.removeEventListener(type, relay);
+      this._relays = [];
+      if (this._stopStyles) { this._stopStyles(); this._stopStyles = null; }
+      if (root !== this && root.parentNode) root.parentNode.removeChild(root);
+      this._root = null;
+    }
+  }
+
+  for (const prop of Object.keys(types)) {
+    Object.defineProperty(SmoothElement.prototype, prop, {
+      configurable: true,
+      get() { return this._props[prop]; },
+      set(value) { this._setProp(prop, value); }
+    });
+  }
+
+  customElements.define(tagName, SmoothElement);
+  return SmoothElement;
+}
+
+export default defineElement;
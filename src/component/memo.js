@@ -0,0 +1,23 @@
+/**
+ * Wraps a component class so updates that don't change its props are skipped. The
+ * returned subclass is `pure`: `setProps` compares the next props with `areEqual`
+ * (shallow by default) and `setState` skips shallowly equal updates. Works with class
+ * components, `defineComponent()` results and the VDOM variants.
+ *
+ * @param {Function} Comp - The component class to wrap.
+ * @param {Function} [areEqual] - `(prevProps, nextProps) => boolean`; return true to skip the update.
+ * @returns {Function} A memoized subclass of `Comp` with the same name.
+ */
+export function memo(Comp, areEqual = null) {
+  if (typeof Comp !== 'function') throw new Error('memo expects a component class');
+
+  class Memo extends Comp {
+    static pure = true;
+    static areEqual = typeof areEqual === 'function' ? areEqual : null;
+  }
+  // Keep the wrapped name so default child() keys stay the same
+  Object.defineProperty(Memo, 'name', { value: Comp.name });
+  return Memo;
+}
+
+export default memo;
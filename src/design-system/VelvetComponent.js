@@ -1,6 +1,7 @@
 import { SmoothComponent } from '../component/SmoothComponent.js';
 import { Velvet } from './velvet.js';
 import { defaultTheme } from './theme.js';
+import { VelvetContext } from './provider.js';
 
 /**
  * Represents a component with advanced styling, theming, and animation capabilities.
@@ -8,10 +9,14 @@ import { defaultTheme } from './theme.js';
  * styled components, managing themes, and applying animations.
  */
 export class VelvetComponent extends SmoothComponent {
+  // Velvet templates assemble markup from strings internally, so they keep raw interpolation
+  static autoEscape = false;
+
   constructor(element, initialState, props) {
     super(element, initialState, props);
     this.v = new Velvet(this);
     this.theme = defaultTheme;
+    this.darkMode = false; // the nearest VelvetProvider's darkMode
     // Per-instance caches to avoid repeated work across renders
     this._vsCacheStr = new Map();   // utility tokens -> className
     this._vsCacheObj = new WeakMap(); // style object identity -> className
@@ -94,6 +99,20 @@ export class VelvetComponent extends SmoothComponent {
     return `</${tag}>`;
   }
   
+  // Pick up the theme and dark mode from the nearest VelvetProvider as part of each render, so
+  // reading them keeps this component subscribed to switches of either
+  _track(fn) {
+    return super._track(() => {
+      const ctx = this.useContext(VelvetContext);
+      // Without a provider keep whatever theme was set on the instance
+      if (ctx && ctx !== VelvetContext.defaultValue) {
+        if (ctx.theme) this.setTheme(ctx.theme);
+        this.darkMode = !!ctx.darkMode;
+      }
+      return fn();
+    });
+  }
+
   // Allow swapping theme at runtime and reset caches that depend on theme
   setTheme(nextTheme) {
     if (nextTheme && nextTheme !== this.theme) {
@@ -1,6 +1,15 @@
 import { VelvetComponent } from './VelvetComponent.js';
 import { focusTrap } from '../a11y/index.js';
+import { registerTransition, leave } from '../dom/transition.js';
 
+// Fade-out used when toasts and modal overlays leave; entering is handled by their CSS animations
+registerTransition('velvet-fade', {
+  leave(el, done) {
+    el.style.transition = 'opacity 200ms ease-in';
+    el.style.opacity = '0';
+    setTimeout(done, 200);
+  }
+});
 
 /**
  * Represents a button component with versatile styling and functionality options.
@@ -47,6 +56,7 @@ export class VButton extends VelvetComponent {
       if (typeof this.props.onClick === 'function') {
         this.props.onClick(e);
       }
+      this.emit('click', e);
     });
     // Keyboard activation for anchor with role="button"
     this.on('keydown', 'a[role="button"]', (e) => {
@@ -178,6 +188,8 @@ export class VButton extends VelvetComponent {
  * interactivity, and spacing. It extends the functionality of the VelvetComponent base class.
  *
  * The `VCard` provides options for elevation, interactivity, padding, and click handling.
+ * Content goes in the `default` slot (or `children`); optional `header` and `footer` slots
+ * render above and below it.
  */
 export class VCard extends VelvetComponent {
   static defaultProps = {
@@ -230,9 +242,17 @@ export class VCard extends VelvetComponent {
       }
     };
     
+    const sectionStyle = (edge) => ({
+      base: {
+        [edge === 'header' ? 'marginBottom' : 'marginTop']: this.theme.spacing[4]
+      }
+    });
+    
     return this.html`
       <div class="card ${this.vs(cardStyle)}">
-        ${children || ''}
+        ${this.hasSlot('header') ? `<div class="card-header ${this.vs(sectionStyle('header'))}">${this.slot('header')}</div>` : ''}
+        ${this.slot('default', children || '')}
+        ${this.hasSlot('footer') ? `<div class="card-footer ${this.vs(sectionStyle('footer'))}">${this.slot('footer')}</div>` : ''}
       </div>
     `;
   }
@@ -724,7 +744,9 @@ export class VToast extends VelvetComponent {
     if (this.props.onDismiss) {
       this.props.onDismiss();
     }
-    this.element?.remove();
+    if (!this.element) return;
+    this.element.setAttribute('data-transition', 'velvet-fade');
+    leave(this.element);
   }
   
   template() {
@@ -802,7 +824,7 @@ export class VToast extends VelvetComponent {
  *
  * Default Props:
  * - `open`: Boolean indicating whether the modal is open (default: false).
- * - `title`: The title of the modal (default: an empty string).
+ * - `title`: The title of the modal (default: an empty string). Prefer the `title` slot.
  * - `onClose`: Callback to be triggered when the modal is closed (default: null).
  * - `closeOnOverlay`: Boolean indicating whether clicking on the overlay closes the modal (default: true).
  * - `maxWidth`: Controls the maximum width of the modal, e.g., 'sm', 'md', 'lg', 'xl', 'full' (default: 'md').
@@ -813,6 +835,11 @@ export class VToast extends VelvetComponent {
  * - `onUnmount()`: Cleans up resources and removes focus trapping when the component unmounts.
  * - `onPropsChange(prev, next)`: Reacts to changes in props, especially the `open` prop.
  *
+ * Slots:
+ * - `title`: Heading content; overrides the `title` prop.
+ * - `default`: Dialog body (falls back to `children`).
+ * - `footer`: Actions rendered below the body.
+ *
  * Methods:
  * - `close()`: Invokes the `onClose` callback to handle modal closure.
  * - `template()`: Renders the modal structure and styling. Includes configurable header, body, and overlay.
@@ -971,18 +998,36 @@ export class VModal extends VelvetComponent {
       }
     };
     
+    const footerStyle = {
+      base: {
+        display: 'flex',
+        justifyContent: 'flex-end',
+        gap: '0.5rem',
+        padding: '1rem 1.5rem',
+        borderTop: '1px solid #e4e4e7'
+      },
+      dark: {
+        borderTopColor: '#52525b'
+      }
+    };
+    
+    // The `title` slot takes precedence over the legacy `title` prop. Check with hasSlot():
+    // slot() returns a (always truthy) SafeHTML object under autoEscape/compiled.
+    const hasHeading = this.hasSlot('title') || !!title;
+    
     return this.html`
-      <div class="overlay ${this.vs(overlayStyle)}">
-        <div class="${this.vs(modalStyle)}" role="dialog" aria-modal="true" ${title ? 'aria-labelledby="vmodal-title"' : ''}>
-          ${title ? this.html`
+      <div class="overlay ${this.vs(overlayStyle)}" data-key="vmodal-overlay" data-transition="velvet-fade">
+        <div class="${this.vs(modalStyle)}" role="dialog" aria-modal="true" ${hasHeading ? 'aria-labelledby="vmodal-title"' : ''}>
+          ${hasHeading ? this.html`
             <div class="${this.vs(headerStyle)}">
-              <h2 id="vmodal-title" class="${this.vs(titleStyle)}">${title}</h2>
+              <h2 id="vmodal-title" class="${this.vs(titleStyle)}">${this.slot('title', title)}</h2>
               <span class="close-btn ${this.vs(closeStyle)}" aria-label="Close dialog">×</span>
             </div>
           ` : ''}
           <div class="${this.vs(bodyStyle)}">
-            ${children || ''}
+            ${this.slot('default', children || '')}
           </div>
+          ${this.hasSlot('footer') ? `<div class="modal-footer ${this.vs(footerStyle)}">${this.slot('footer')}</div>` : ''}
         </div>
       </div>
     `;
@@ -1078,10 +1123,12 @@ export const VelvetUI = {
  * - Ability to navigate using arrow keys, Home, End, Enter, or Space keys.
  * - When the selected tab is changed, the associated content is displayed, and callback hooks can be triggered.
  * - Fully customizable styles for tabs and panels.
+ * - Panel content can be supplied through a `tab:<id>` slot, and the tab label through
+ *   `label:<id>`, instead of the `content`/`label` strings in `tabs`.
  */
 export class VTabs extends VelvetComponent {
   static defaultProps = {
-    tabs: [], // [{ id, label, content }]
+    tabs: [], // [{ id, label, content }]; slot `tab:<id>` overrides content, `label:<id>` the label
     selectedIndex: 0,
     onChange: null
   };
@@ -1178,7 +1225,7 @@ export class VTabs extends VelvetComponent {
           tabindex="${active ? '0' : '-1'}"
           data-index="${i}"
           type="button"
-        >${t.label || `Tab ${i+1}`}</button>`;
+        >${this.slot(`label:${t.id ?? i}`, t.label || `Tab ${i+1}`)}</button>`;
     }).join('');
 
     const panels = tabs.map((t, i) => {
@@ -1187,7 +1234,7 @@ export class VTabs extends VelvetComponent {
       const labelId = `tab-${i}`;
       return this.html`
         <div role="tabpanel" id="${id}" aria-labelledby="${labelId}" hidden="${active ? '' : 'hidden'}" class="${this.vs(panelStyle)}" ${active ? '' : 'style="display:none;"'}>
-          ${t.content || ''}
+          ${this.slot(`tab:${t.id ?? i}`, t.content || '')}
         </div>`;
     }).join('');
 
@@ -1,18 +1,20 @@
 import { Velvet } from './velvet.js';
 import { defaultTheme } from './theme.js';
+import { useRef } from '../functional/hooks.js';
 
 
 /**
  * Provides functionality for managing Velvet instance and its utilities, styles, and themes.
+ * Call it as `useVelvet()` inside a functional component, or pass the setup `ctx`.
  *
- * @param {Object} ctx - The context object which provides a `useRef` method.
+ * @param {Object} [ctx] - The setup context; defaults to the component currently rendering.
  * @return {Object} - Returns an object with Velvet style handler, default theme, and utility functions:
  *   - vs: A function to apply styles using Velvet.
  *   - theme: The default theme for the Velvet instance.
  *   - utilities: Utility functions provided by the Velvet instance.
  */
 export function useVelvet(ctx) {
-  const velvetRef = ctx.useRef(null);
+  const velvetRef = ctx ? ctx.useRef(null) : useRef(null);
   if (!velvetRef.current) {
     velvetRef.current = new Velvet(null);
   }
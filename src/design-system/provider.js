@@ -21,16 +21,25 @@ export const VelvetContext = createContext({
 /**
  * Represents a provider component that supplies a context for Velvet-based components.
  * It manages and provides theme data and dark mode configuration to its children.
+ * Changing the `theme` or `darkMode` prop re-renders every Velvet component below it.
+ * When `darkMode` is given, the provider's element gets `data-theme="dark"` or `"light"`, which
+ * switches the `dark` styles of the Velvet components inside it; they can also read `this.darkMode`.
  *
  * @class VelvetProvider
  * @extends SmoothComponent
  */
 export class VelvetProvider extends SmoothComponent {
   template() {
-    this.provideContext(VelvetContext, {
-      theme: this.props && this.props.theme ? this.props.theme : defaultTheme,
-      darkMode: !!(this.props && this.props.darkMode)
-    });
+    const theme = this.props && this.props.theme ? this.props.theme : defaultTheme;
+    const darkMode = !!(this.props && this.props.darkMode);
+    // Keep the value identity stable so consumers only re-render when the theme or mode changes
+    if (!this._value || this._value.theme !== theme || this._value.darkMode !== darkMode) {
+      this._value = { theme, darkMode };
+    }
+    this.provideContext(VelvetContext, this._value);
+    if (this.element && this.props && 'darkMode' in this.props) {
+      this.element.setAttribute('data-theme', darkMode ? 'dark' : 'light');
+    }
     // Render children as-is
     return this.renderChildren();
   }
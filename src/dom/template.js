@@ -0,0 +1,368 @@
+/**
+ * Compiled templates for components with `static compiled = true`. The static
+ * strings of a tagged template are parsed into a `<template>` element once
+ * (cached per `strings` array); each render then clones it a single time and
+ * afterwards only commits the interpolated values to the dynamic parts:
+ * child content, attributes, `.prop=` properties and `@event=` listeners.
+ */
+import { SafeHTML, isSafeHTML } from '../security/index.js';
+
+const _marker = 'smooth-part';
+const _markerAttr = 'data-smooth-part';
+const _cache = new WeakMap(); // strings -> compiled template (null when unsupported)
+const _rawTextTags = /^(script|style|textarea|title)$/i;
+
+/**
+ * The result of `html` in a compiled component: the static strings plus the values
+ * of one render. It is trusted markup, so string consumers (SSR, the VDOM renderers,
+ * auto-escaping templates) get the escaped HTML from `toString()`.
+ */
+export class TemplateResult extends SafeHTML {
+  constructor(strings, values, stringify) {
+    super('');
+    this.strings = strings;
+    this.values = values;
+    this._stringify = stringify;
+    this._markup = null;
+  }
+
+  toString() {
+    if (this._markup == null) this._markup = this._stringify(this.strings, this.values);
+    return this._markup;
+  }
+}
+
+/**
+ * Returns the compiled form of a template's static strings, or null when a value sits
+ * where parts are not supported (inside a tag name, a comment, a raw text element such
+ * as `<textarea>`, or as a bare attribute list). Callers fall back to string rendering.
+ *
+ * @param {TemplateStringsArray|string[]} strings - The static template strings.
+ * @returns {{ element: HTMLTemplateElement, parts: Object[], nodeCount: number }|null}
+ */
+export function compileTemplate(strings) {
+  if (_cache.has(strings)) return _cache.get(strings);
+  let compiled = _compile(strings);
+  if (compiled && _markers(document.importNode(compiled.element.content, true)).length !== compiled.nodeCount) {
+    // The parser moved or dropped a marker (e.g. invalid nesting)
+    compiled = null;
+  }
+  _cache.set(strings, compiled);
+  return compiled;
+}
+
+// Scans the static strings with a small HTML tokenizer, replacing every value position with
+// a marker: a comment for child content, one marker attribute per element for attribute parts.
+function _compile(strings) {
+  const parts = [];
+  let html = '';
+  let state = 'text'; // text | tag | quoted | comment | raw
+  let quote = '';
+  let tagName = '';
+  let rawTag = '';
+  let tagParts = []; // attribute parts of the tag being scanned
+  let attrStart = -1; // output index where the current attribute begins
+  let valueStart = -1; // output index right after the opening quote
+  let dynamic = null; // attribute part whose quoted value is being collected
+  let buf = '';
+  let nodeCount = 0;
+
+  for (let i = 0; i < strings.length; i++) {
+    const s = strings[i];
+    for (let j = 0; j < s.length; j++) {
+      const ch = s[j];
+      if (state === 'quoted') {
+        if (ch === quote) {
+          state = 'tag';
+          if (dynamic) { dynamic.strings.push(buf); buf = ''; dynamic = null; continue; }
+        } else if (dynamic) {
+          buf += ch;
+          continue;
+        }
+        html += ch;
+        continue;
+      }
+      if (state === 'comment') {
+        html += ch;
+        if (ch === '>' && html.endsWith('-->')) state = 'text';
+        continue;
+      }
+      if (state === 'raw') {
+        html += ch;
+        if (ch === '>' && new RegExp(`</${rawTag}\\s*>$`, 'i').test(html)) state = 'text';
+        continue;
+      }
+      if (state === 'text') {
+        html += ch;
+        if (ch === '<') {
+          if (s.startsWith('!--', j + 1)) { state = 'comment'; html += '!--'; j += 3; continue; }
+          const m = /^\/?([A-Za-z][\w:-]*)/.exec(s.slice(j + 1));
+          if (m) { state = 'tag'; tagName = m[0][0] === '/' ? '' : m[1]; tagParts = []; }
+        }
+        continue;
+      }
+      // state === 'tag'
+      if (ch === '>') {
+        if (tagParts.length) {
+          const at = html.endsWith('/') ? html.length - 1 : html.length;
+          html = `${html.slice(0, at)} ${_markerAttr}${html.slice(at)}`;
+          const nodeIndex = nodeCount++;
+          for (const p of tagParts) p.nodeIndex = nodeIndex;
+          tagParts = [];
+        }
+        html += ch;
+        state = tagName && _rawTextTags.test(tagName) ? 'raw' : 'text';
+        rawTag = tagName;
+        continue;
+      }
+      if (/\s/.test(ch)) attrStart = html.length;
+      html += ch;
+      if ((ch === '"' || ch === "'") && /=\s*.$/.test(html)) {
+        state = 'quoted';
+        quote = ch;
+        valueStart = html.length;
+      }
+    }
+
+    if (i === strings.length - 1) break;
+    // A value follows this string
+    if (state === 'text') {
+      html += `<!--${_marker}-->`;
+      parts.push({ type: 'node', index: i, nodeIndex: nodeCount++ });
+      continue;
+    }
+    if (state === 'quoted') {
+      if (dynamic) { dynamic.strings.push(buf); buf = ''; continue; }
+      const name = /^\s*([^\s"'>/=]+)=/.exec(html.slice(attrStart, valueStart));
+      if (!name) return null;
+      dynamic = _attrPart(name[1], i, html.slice(valueStart));
+      tagParts.push(dynamic);
+      parts.push(dynamic);
+      html = html.slice(0, attrStart);
+      continue;
+    }
+    if (state === 'tag') {
+      // Unquoted `name=${value}` must be followed by whitespace or the end of the tag
+      const m = /\s([^\s"'>/=]+)=$/.exec(html);
+      if (!m || !/^(\s|\/?>|$)/.test(strings[i + 1])) return null;
+      const part = _attrPart(m[1], i, '');
+      part.strings.push('');
+      tagParts.push(part);
+      parts.push(part);
+      html = html.slice(0, html.length - m[0].length);
+      continue;
+    }
+    return null;
+  }
+  if (state !== 'text') return null;
+
+  const element = document.createElement('template');
+  element.innerHTML = html;
+  return { element, parts, nodeCount };
+}
+
+function _attrPart(rawName, index, prefix) {
+  const lead = rawName[0];
+  if (lead === '.') return { type: 'prop', name: rawName.slice(1), index, strings: [prefix] };
+  if (lead === '@') return { type: 'event', name: rawName.slice(1), index, strings: [prefix] };
+  return { type: 'attr', name: rawName, index, strings: [prefix] };
+}
+
+// Marker nodes of a cloned template in document order
+function _markers(root) {
+  const out = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_COMMENT, null);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === Node.COMMENT_NODE ? node.data === _marker : node.hasAttribute(_markerAttr)) out.push(node);
+  }
+  return out;
+}
+
+/**
+ * One rendered copy of a compiled template. `fragment` holds the cloned DOM until it is
+ * inserted; `update(values)` commits a new set of values to the dynamic parts in place.
+ */
+export class TemplateInstance {
+  constructor(template, host) {
+    this.template = template;
+    this.fragment = document.importNode(template.element.content, true);
+    const nodes = _markers(this.fragment);
+    this.parts = template.parts.map((p) => {
+      const node = nodes[p.nodeIndex];
+      if (p.type === 'node') return new NodePart(node, host);
+      node.removeAttribute(_markerAttr);
+      if (p.type === 'prop') return new PropertyPart(node, p.name);
+      if (p.type === 'event') return new EventPart(node, p.name, host);
+      return new AttributePart(node, p.name, p.strings);
+    });
+  }
+
+  update(values) {
+    const specs = this.template.parts;
+    for (let i = 0; i < specs.length; i++) {
+      const { index, strings } = specs[i];
+      const part = this.parts[i];
+      if (part instanceof AttributePart) part.set(values.slice(index, index + strings.length - 1));
+      else part.set(values[index]);
+    }
+  }
+}
+
+// Child content between a start marker and an end marker
+class NodePart {
+  constructor(start, host) {
+    this.start = start;
+    this.end = document.createComment('');
+    start.parentNode.insertBefore(this.end, start.nextSibling);
+    this.host = host;
+    this.kind = null;
+    this.value = undefined;
+    this.instance = null;
+    this.items = null;
+  }
+
+  _insert(node) {
+    this.end.parentNode.insertBefore(node, this.end);
+  }
+
+  _clear() {
+    const parent = this.end.parentNode;
+    while (this.start.nextSibling !== this.end) parent.removeChild(this.start.nextSibling);
+    this.kind = null;
+    this.value = undefined;
+    this.instance = null;
+    this.items = null;
+  }
+
+  set(value) {
+    if (value == null || value === false || value.__smooth_portal__ === true) value = '';
+    if (value instanceof TemplateResult) {
+      const template = compileTemplate(value.strings);
+      if (template) return this._setTemplate(template, value.values);
+      value = new SafeHTML(String(value));
+    }
+    if (Array.isArray(value)) return this._setList(value);
+    if (typeof Node !== 'undefined' && value instanceof Node) {
+      if (this.kind === 'node' && this.value === value) return;
+      this._clear();
+      this._insert(value);
+      this.kind = 'node';
+      this.value = value;
+      return;
+    }
+    if (value.__smooth_child__ === true || isSafeHTML(value)) {
+      // Trusted markup (child hosts, unsafeHTML); replaced only when the markup changes
+      const markup = String(value);
+      if (this.kind === 'markup' && this.value === markup) return;
+      this._clear();
+      const tpl = document.createElement('template');
+      tpl.innerHTML = markup;
+      this._insert(tpl.content);
+      this.kind = 'markup';
+      this.value = markup;
+      return;
+    }
+    const text = String(value);
+    if (this.kind === 'text') {
+      const node = this.start.nextSibling;
+      if (node.nodeValue !== text) node.nodeValue = text;
+      return;
+    }
+    this._clear();
+    this._insert(document.createTextNode(text));
+    this.kind = 'text';
+  }
+
+  _setTemplate(template, values) {
+    if (this.kind === 'template' && this.instance.template === template) {
+      this.instance.update(values);
+      return;
+    }
+    this._clear();
+    const instance = new TemplateInstance(template, this.host);
+    instance.update(values);
+    this._insert(instance.fragment);
+    this.kind = 'template';
+    this.instance = instance;
+  }
+
+  // Items are matched by index; each one keeps its own parts between its own markers
+  _setList(values) {
+    if (this.kind !== 'list') {
+      this._clear();
+      this.kind = 'list';
+      this.items = [];
+    }
+    const items = this.items;
+    for (let i = 0; i < values.length; i++) {
+      if (!items[i]) {
+        const start = document.createComment('');
+        this._insert(start);
+        items.push(new NodePart(start, this.host));
+      }
+      items[i].set(values[i]);
+    }
+    if (items.length > values.length) {
+      const parent = this.end.parentNode;
+      const first = items[values.length].start;
+      while (first.nextSibling !== this.end) parent.removeChild(first.nextSibling);
+      parent.removeChild(first);
+      items.length = values.length;
+    }
+  }
+}
+
+// An attribute built from static text and one or more values
+class AttributePart {
+  constructor(el, name, strings) {
+    this.el = el;
+    this.name = name;
+    this.strings = strings;
+    this.value = undefined;
+  }
+
+  set(values) {
+    const { el, name, strings } = this;
+    let next;
+    if (strings.length === 2 && strings[0] === '' && strings[1] === '') {
+      // A lone value: null/undefined/false remove the attribute, true sets it empty
+      const v = values[0];
+      next = v == null || v === false ? null : (v === true ? '' : String(v));
+    } else {
+      next = strings[0];
+      for (let i = 0; i < values.length; i++) next += (values[i] == null ? '' : String(values[i])) + strings[i + 1];
+    }
+    if (next === this.value) return;
+    this.value = next;
+    if (next == null) el.removeAttribute(name); else el.setAttribute(name, next);
+    // Keep live form state in step with the attribute, like the string patcher does
+    if (name === 'value' && 'value' in el && el.value !== (next ?? '')) el.value = next ?? '';
+    else if ((name === 'checked' || name === 'disabled') && name in el) el[name] = next != null;
+  }
+}
+
+// `.name=${value}` sets a DOM property
+class PropertyPart {
+  constructor(el, name) {
+    this.el = el;
+    this.name = name;
+  }
+
+  set(value) {
+    if (this.el[this.name] !== value) this.el[this.name] = value;
+  }
+}
+
+// `@name=${handler}` adds one listener that always calls the latest handler
+class EventPart {
+  constructor(el, name, host) {
+    this.handler = null;
+    el.addEventListener(name, (e) => {
+      if (typeof this.handler === 'function') host._invokeHandler(this.handler, e, name);
+    });
+  }
+
+  set(value) {
+    this.handler = value;
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * Enter/leave/move transitions for keyed nodes. An element opts in with a
+ * `data-transition="name"` attribute; the patchers then apply CSS class phases
+ * (`name-enter-from`, `name-enter-active`, `name-enter-to`, and the same for `leave`,
+ * plus `name-move` for FLIP reorders) and call any JS hooks registered for `name`.
+ */
+
+const _hooks = new Map(); // name -> { enter, afterEnter, leave, afterLeave, move }
+const _leaving = new WeakSet(); // nodes kept in the DOM only to finish a leave transition
+const _leavingCount = new WeakMap(); // parent -> number of leaving children
+const _active = new WeakMap(); // el -> Set<string> of phase classes currently applied
+
+const _raf = (fn) => {
+  if (typeof requestAnimationFrame === 'function') return requestAnimationFrame(fn);
+  return setTimeout(fn, 16);
+};
+
+/**
+ * Registers JS hooks for a named transition. `enter`, `leave` and `move` receive
+ * `(el, done)`; when a hook declares the `done` parameter the phase ends only once it is
+ * called, otherwise the CSS transition/animation end (or duration) finishes the phase.
+ *
+ * @param {string} name - The transition name used in `data-transition`.
+ * @param {Object} hooks - Any of `enter`, `afterEnter`, `leave`, `afterLeave`, `move`.
+ */
+export function registerTransition(name, hooks = {}) {
+  if (!name) return;
+  _hooks.set(String(name), { ...hooks });
+}
+
+/**
+ * Returns the transition name declared on a node, or null.
+ *
+ * @param {Node} node - The node to inspect.
+ * @returns {string|null} The `data-transition` value.
+ */
+export function transitionName(node) {
+  return node && node.nodeType === 1 ? (node.getAttribute('data-transition') || null) : null;
+}
+
+export function isLeaving(node) {
+  return !!node && _leaving.has(node);
+}
+
+export function hasLeaving(parent) {
+  return !!parent && (_leavingCount.get(parent) || 0) > 0;
+}
+
+/**
+ * Returns the i-th child of `parent`, skipping nodes that are only there to finish a leave transition.
+ *
+ * @param {Node} parent - The parent node.
+ * @param {number} index - Index among non-leaving children.
+ * @returns {Node|null} The child node, or null when out of range.
+ */
+export function liveChildAt(parent, index) {
+  if (!hasLeaving(parent)) return parent.childNodes[index] || null;
+  let i = 0;
+  for (const node of parent.childNodes) {
+    if (_leaving.has(node)) continue;
+    if (i === index) return node;
+    i++;
+  }
+  return null;
+}
+
+export function liveCount(parent) {
+  return parent.childNodes.length - (_leavingCount.get(parent) || 0);
+}
+
+function _addClasses(el, ...classes) {
+  let set = _active.get(el);
+  if (!set) { set = new Set(); _active.set(el, set); }
+  for (const c of classes) { set.add(c); el.classList.add(c); }
+}
+
+function _removeClasses(el, ...classes) {
+  const set = _active.get(el);
+  for (const c of classes) { if (set) set.delete(c); el.classList.remove(c); }
+}
+
+/**
+ * Re-applies phase classes after a patch overwrote the element's `class` attribute.
+ *
+ * @param {Element} el - The patched element.
+ */
+export function keepTransitionClasses(el) {
+  const set = _active.get(el);
+  if (set && set.size) set.forEach(c => el.classList.add(c));
+}
+
+function _toMs(list) {
+  return String(list || '').split(',').map(s => {
+    const v = parseFloat(s);
+    if (!isFinite(v)) return 0;
+    return /ms\s*$/.test(s) ? v : v * 1000;
+  });
+}
+
+function _duration(el) {
+  const attr = el.getAttribute('data-transition-duration');
+  if (attr != null && attr !== '' && isFinite(Number(attr))) return Number(attr);
+  if (typeof getComputedStyle !== 'function') return 0;
+  let style;
+  try { style = getComputedStyle(el); } catch { return 0; }
+  const total = (durations, delays) => Math.max(0, ...durations.map((d, i) => d + (delays[i % delays.length] || 0)));
+  return Math.max(
+    total(_toMs(style.transitionDuration), _toMs(style.transitionDelay)),
+    total(_toMs(style.animationDuration), _toMs(style.animationDelay))
+  );
+}
+
+// Runs the JS hook for a phase (if any) and calls cb once the phase is over
+function _whenDone(el, hooks, phase, cb) {
+  let finished = false;
+  let timer = null;
+  const onEnd = (e) => { if (e.target === el) finish(); };
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    if (timer) clearTimeout(timer);
+    el.removeEventListener('transitionend', onEnd);
+    el.removeEventListener('animationend', onEnd);
+    cb();
+  };
+  const hook = hooks && hooks[phase];
+  if (typeof hook === 'function' && hook.length >= 2) {
+    try { hook(el, finish); } catch (e) { console.error(`transition ${phase} hook error:`, e); finish(); }
+    return;
+  }
+  if (typeof hook === 'function') {
+    try { hook(el); } catch (e) { console.error(`transition ${phase} hook error:`, e); }
+  }
+  const ms = _duration(el);
+  if (ms <= 0) { _raf(finish); return; }
+  el.addEventListener('transitionend', onEnd);
+  el.addEventListener('animationend', onEnd);
+  // Fallback in case the end event never fires (e.g. element hidden)
+  timer = setTimeout(finish, ms + 50);
+}
+
+/**
+ * Plays the enter transition on a newly inserted element. No-op without `data-transition`.
+ *
+ * @param {Node} el - The inserted node.
+ */
+export function enter(el) {
+  const name = transitionName(el);
+  if (!name) return;
+  const hooks = _hooks.get(name);
+  _addClasses(el, `${name}-enter-from`, `${name}-enter-active`);
+  _raf(() => {
+    _removeClasses(el, `${name}-enter-from`);
+    _addClasses(el, `${name}-enter-to`);
+    _whenDone(el, hooks, 'enter', () => {
+      _removeClasses(el, `${name}-enter-active`, `${name}-enter-to`);
+      if (hooks && typeof hooks.afterEnter === 'function') {
+        try { hooks.afterEnter(el); } catch (e) { console.error('transition afterEnter hook error:', e); }
+      }
+    });
+  });
+}
+
+/**
+ * Removes a node from its parent, playing its leave transition first when it declares one.
+ * While leaving, the node stays in the DOM but is skipped by the patchers.
+ *
+ * @param {Node} el - The node to remove.
+ */
+export function leave(el) {
+  const parent = el && el.parentNode;
+  if (!parent) return;
+  const name = transitionName(el);
+  if (!name) { parent.removeChild(el); return; }
+  if (_leaving.has(el)) return;
+  const hooks = _hooks.get(name);
+  _leaving.add(el);
+  _leavingCount.set(parent, (_leavingCount.get(parent) || 0) + 1);
+  _removeClasses(el, `${name}-enter-from`, `${name}-enter-active`, `${name}-enter-to`);
+  _addClasses(el, `${name}-leave-from`, `${name}-leave-active`);
+  _raf(() => {
+    _removeClasses(el, `${name}-leave-from`);
+    _addClasses(el, `${name}-leave-to`);
+    _whenDone(el, hooks, 'leave', () => {
+      _leaving.delete(el);
+      _leavingCount.set(parent, Math.max(0, (_leavingCount.get(parent) || 0) - 1));
+      _removeClasses(el, `${name}-leave-active`, `${name}-leave-to`);
+      if (el.parentNode === parent) parent.removeChild(el);
+      if (hooks && typeof hooks.afterLeave === 'function') {
+        try { hooks.afterLeave(el); } catch (e) { console.error('transition afterLeave hook error:', e); }
+      }
+    });
+  });
+}
+
+/**
+ * Records the position of each transition-enabled element before a patch (FLIP "first").
+ *
+ * @param {Array<Node>} nodes - Candidate nodes.
+ * @returns {Map<Element, DOMRect>} Rects keyed by element.
+ */
+export function recordPositions(nodes) {
+  const positions = new Map();
+  for (const node of nodes) {
+    if (!transitionName(node) || _leaving.has(node)) continue;
+    try { positions.set(node, node.getBoundingClientRect()); } catch {}
+  }
+  return positions;
+}
+
+/**
+ * Animates elements from their recorded positions to their new ones (FLIP "last, invert, play").
+ *
+ * @param {Map<Element, DOMRect>} positions - Output of `recordPositions` taken before the patch.
+ */
+export function playMoves(positions) {
+  positions.forEach((first, el) => {
+    if (!el.parentNode || _leaving.has(el)) return;
+    let last;
+    try { last = el.getBoundingClientRect(); } catch { return; }
+    const dx = first.left - last.left;
+    const dy = first.top - last.top;
+    if (!dx && !dy) return;
+    const name = transitionName(el);
+    const hooks = _hooks.get(name);
+    el.style.transform = `translate(${dx}px, ${dy}px)`;
+    el.style.transitionDuration = '0s';
+    void el.offsetWidth; // force reflow so the inverted position is painted
+    _raf(() => {
+      _addClasses(el, `${name}-move`);
+      el.style.transform = '';
+      el.style.transitionDuration = '';
+      _whenDone(el, hooks, 'move', () => _removeClasses(el, `${name}-move`));
+    });
+  });
+}
+
+export default { registerTransition, enter, leave, recordPositions, playMoves };
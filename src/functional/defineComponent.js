@@ -1,5 +1,7 @@
 import { SmoothComponent } from '../component/SmoothComponent.js';
 import { Query } from '../data/query.js';
+import { hash } from '../utils/hash.js';
+import { _setCurrentInstance } from './hooks.js';
 
 /**
  * Determines whether two dependency arrays have changed.
@@ -19,6 +21,42 @@ function depsChanged(a, b) {
   return false;
 }
 
+/**
+ * Whether development checks (hook order, missing effect deps) are on. `globalThis.__SMOOTH_DEV__`
+ * overrides the default, which is on unless `process.env.NODE_ENV` is 'production'. Without a
+ * `process` global (plain browser or ESM CDN builds) the checks are on as well.
+ *
+ * @return {boolean}
+ */
+function _isDev() {
+  try {
+    if (typeof globalThis !== 'undefined' && typeof globalThis.__SMOOTH_DEV__ === 'boolean') return globalThis.__SMOOTH_DEV__;
+    const env = (typeof process !== 'undefined' && process && process.env) ? process.env : null;
+    return !env || env.NODE_ENV !== 'production';
+  } catch {}
+  return true;
+}
+
+// Prop names read by the effect that is running, in development
+let _effectReads = null;
+const _propsProxies = new WeakMap(); // props object -> read-tracking proxy
+let _idRoots = 0; // numbers roots that have no element id, so their ids never collide
+
+function _trackedProps(props) {
+  if (!props || typeof props !== 'object') return props;
+  let proxy = _propsProxies.get(props);
+  if (!proxy) {
+    proxy = new Proxy(props, {
+      get(target, key, receiver) {
+        if (_effectReads && typeof key === 'string') _effectReads.add(key);
+        return Reflect.get(target, key, receiver);
+      }
+    });
+    _propsProxies.set(props, proxy);
+  }
+  return proxy;
+}
+
 /**
  * Defines a functional component with a setup function.
  * The setup function is executed to configure state, hooks, and provide the render logic.
@@ -28,12 +66,21 @@ function depsChanged(a, b) {
  * The setup function should return an object containing implementation of the component's lifecycle methods
  * and rendering logic.
  *
+ * An async setup (one returning a promise) runs once and may await initial data. Until it settles the
+ * component renders `options.pending` (or suspends to the nearest Suspense when there is none); a
+ * rejection renders `options.error` (or goes to renderError/error boundaries). Its hooks belong in render().
+ *
+ * @param {Object} [options={}]
+ * @param {Function|string} [options.pending] - `(ctx) => markup` shown while an async setup is pending.
+ * @param {Function} [options.error] - `(error, ctx) => markup` shown when an async setup rejects.
+ *
  * @return {Function} The defined component class derived from `SmoothComponent`, which provides lifecycle
  * handling and enables functional-style component definition.
  * Throws an error if the argument is not a function.
  */
-export function defineComponent(setup) {
+export function defineComponent(setup, options = {}) {
   if (typeof setup !== 'function') throw new Error('defineComponent expects a function');
+  const { pending = null, error: renderRejected = null } = options || {};
 
   class FunctionalAdapter extends SmoothComponent {
     constructor(element = null, initialState = {}, props = {}) {
@@ -43,9 +90,18 @@ export function defineComponent(setup) {
       this._hookIndex = 0;
       this._effects = [];
       this._nextEffects = null;
+      this._layoutEffects = [];
+      this._nextLayoutEffects = null;
       this._effectsScheduled = false;
+      // Development: hook names called by the last completed render and the current one
+      this._devChecks = false;
+      this._hookOrder = null;
+      this._renderHooks = null;
       this._setupRan = false;
       this._setupResult = null;
+      this._setupMounted = false;
+      // Async setup: { status: 'pending' | 'resolved' | 'error', promise, result, error }
+      this._asyncSetup = null;
       // Create a stable ctx once per instance to avoid per-render allocations
       this._ctx = this._createStableCtx();
     }
@@ -88,17 +144,27 @@ export function defineComponent(setup) {
       ctx.useRef = function(initial) { return self._useRef(initial); };
       ctx.useMemo = function(factory, deps) { return self._useMemo(factory, deps); };
       ctx.useEffect = function(effect, deps) { return self._useEffect(effect, deps); };
+      ctx.useLayoutEffect = function(effect, deps) { return self._useEffect(effect, deps, true); };
+      ctx.useReducer = function(reducer, initialArg, init) { return self._useReducer(reducer, initialArg, init); };
+      ctx.useCallback = function(fn, deps) { return self._useMemo(() => fn, deps, 'useCallback'); };
+      ctx.useId = function() { return self._useId(); };
+      ctx.useStore = function(store, selector, isEqual) { return self._useStore(store, selector, isEqual); };
+      ctx.useSyncExternalStore = function(subscribe, getSnapshot) { return self._useSyncExternalStore(subscribe, getSnapshot); };
       // Composition/utilities passthrough
       ctx.html = function(strings, ...values) { return self.html(strings, ...values); };
       ctx.portal = function(target, content, key) { return self.portal(target, content, key); };
+      ctx.child = function(Comp, props, key) { return self.child(Comp, props, key); };
+      ctx.slot = function(name, fallback) { return self.slot(name, fallback); };
+      ctx.hasSlot = function(name) { return self.hasSlot(name); };
       ctx.provideContext = function(Context, value) { return self.provideContext(Context, value); };
       ctx.useContext = function(Context) { return self.useContext(Context); };
       ctx.on = function(event, selector, handler) { return self.on(event, selector, handler); };
+      ctx.emit = function(name, detail, options) { return self.emit(name, detail, options); };
       // Data hook: useQuery as thin adapter
       ctx.useQuery = function(key, fetcher, options) { return self._useQuery(key, fetcher, options); };
       // Accessors (live getters)
       Object.defineProperties(ctx, {
-        props: { get() { return self.props; } },
+        props: { get() { return self._devChecks ? _trackedProps(self.props) : self.props; } },
         children: { get() { return self.children; } },
         element: { get() { return self.element; } }
       });
@@ -125,9 +191,34 @@ export function defineComponent(setup) {
       return false;
     }
 
+    // Claims the next hook slot; in development, throws when the hook order differs from the
+    // previous render, since the slot would otherwise hand one hook's record to another
+    _nextHook(name) {
+      if (this._asyncSetup && this._asyncSetup.status === 'pending') {
+        throw new Error(`${name}() was called in the async setup of ${this._hookOwner()}; call hooks in render() instead`);
+      }
+      const i = this._hookIndex++;
+      const seen = this._renderHooks;
+      if (!seen) return i;
+      const prev = this._hookOrder;
+      if (prev && i >= prev.length) {
+        throw new Error(`${this._hookOwner()} rendered more hooks than during the previous render: hook #${i} (${name}) is new. Hooks must be called in the same order on every render, never conditionally.`);
+      }
+      if (prev && prev[i] !== name) {
+        throw new Error(`Hook order changed in ${this._hookOwner()}: hook #${i} was ${prev[i]} on the previous render but is ${name} now. Hooks must be called in the same order on every render, never conditionally.`);
+      }
+      seen.push(name);
+      return i;
+    }
+
+    _hookOwner() {
+      const key = this.element && this.element.getAttribute('data-smooth-child');
+      return `${setup.name || 'anonymous component'}${key != null ? ` (child "${key}")` : ''}`;
+    }
+
     // Hook implementations
     _useState(initial) {
-      const i = this._hookIndex++;
+      const i = this._nextHook('useState');
       if (!this._hooks[i]) {
         const initVal = (typeof initial === 'function') ? initial() : initial;
         const record = { v: initVal };
@@ -146,16 +237,104 @@ export function defineComponent(setup) {
       return [ent.record.v, ent.set];
     }
 
+    _useReducer(reducer, initialArg, init) {
+      const i = this._nextHook('useReducer');
+      if (!this._hooks[i]) {
+        const record = { v: typeof init === 'function' ? init(initialArg) : initialArg };
+        const entry = { kind: 'reducer', record, reducer, dispatch: null };
+        // dispatch is stable; it always applies the reducer from the latest render
+        entry.dispatch = (action) => {
+          const next = entry.reducer(record.v, action);
+          if (!Object.is(next, record.v)) {
+            record.v = next;
+            this._enqueueRender();
+          }
+        };
+        this._hooks[i] = entry;
+      }
+      const ent = this._hooks[i];
+      ent.reducer = reducer;
+      return [ent.record.v, ent.dispatch];
+    }
+
+    // Ids are scoped by the root element id (SSR: containerId) and the child() keys leading
+    // to this component, so the same tree yields the same ids on the server and the client.
+    // A root without an id takes the next root number instead, keeping separate trees apart.
+    _useId() {
+      const i = this._nextHook('useId');
+      if (!this._hooks[i]) this._hooks[i] = { kind: 'id', id: `smooth-${this._idScope()}-${i}` };
+      return this._hooks[i].id;
+    }
+
+    _idScope() {
+      const keys = [];
+      let owner = this;
+      let root = this._idRoot || '';
+      for (let el = this.element; el; el = el.parentElement) {
+        const key = el.getAttribute('data-smooth-child');
+        if (key != null) { keys.unshift(key); continue; }
+        if (SmoothComponent._byEl.has(el)) {
+          owner = SmoothComponent._byEl.get(el);
+          root = el.id || owner._idRoot || '';
+          break;
+        }
+      }
+      if (!root) {
+        if (owner._idSeq == null) owner._idSeq = ++_idRoots;
+        root = `#${owner._idSeq}`;
+      }
+      return String(hash(`${root}/${keys.join('/')}`));
+    }
+
+    // Subscribes through store.select(); re-renders only when the selected value changes
+    _useStore(store, selector, isEqual) {
+      const i = this._nextHook('useStore');
+      const select = typeof selector === 'function' ? selector : (state) => state;
+      let entry = this._hooks[i];
+      if (!entry || entry.kind !== 'store' || entry.store !== store) {
+        if (entry && typeof entry.unsub === 'function') {
+          try { entry.unsub(); } catch {}
+        }
+        entry = { kind: 'store', store, selector: select, unsub: null };
+        this._hooks[i] = entry;
+        let initial = true;
+        entry.unsub = store.select((state) => entry.selector(state), () => {
+          if (!initial) this._enqueueRender();
+        }, isEqual);
+        initial = false;
+      }
+      entry.selector = select;
+      return entry.selector(store.getState());
+    }
+
+    _useSyncExternalStore(subscribe, getSnapshot) {
+      const i = this._nextHook('useSyncExternalStore');
+      let entry = this._hooks[i];
+      if (!entry || entry.kind !== 'external' || entry.subscribe !== subscribe) {
+        if (entry && typeof entry.unsub === 'function') {
+          try { entry.unsub(); } catch {}
+        }
+        entry = { kind: 'external', subscribe, getSnapshot, value: undefined, unsub: null };
+        this._hooks[i] = entry;
+        entry.unsub = subscribe(() => {
+          if (!Object.is(entry.getSnapshot(), entry.value)) this._enqueueRender();
+        });
+      }
+      entry.getSnapshot = getSnapshot;
+      entry.value = getSnapshot();
+      return entry.value;
+    }
+
     _useRef(initial) {
-      const i = this._hookIndex++;
+      const i = this._nextHook('useRef');
       if (!this._hooks[i]) {
         this._hooks[i] = { kind: 'ref', ref: { current: initial } };
       }
       return this._hooks[i].ref;
     }
 
-    _useMemo(factory, deps) {
-      const i = this._hookIndex++;
+    _useMemo(factory, deps, name = 'useMemo') {
+      const i = this._nextHook(name);
       const entry = this._hooks[i];
       if (!entry || entry.kind !== 'memo' || depsChanged(entry.deps, deps)) {
         const value = factory();
@@ -165,19 +344,21 @@ export function defineComponent(setup) {
       return entry.value;
     }
 
-    _useEffect(create, deps) {
-      const i = this._hookIndex++;
+    // Layout effects run synchronously once the DOM is patched; others run in a microtask after
+    _useEffect(create, deps, layout = false) {
+      const i = this._nextHook(layout ? 'useLayoutEffect' : 'useEffect');
       // Stage effect for this render; actual run happens post-render
       const eff = { create, deps: deps ? deps.slice() : deps };
-      if (!this._nextEffects) this._nextEffects = [];
-      this._nextEffects[i] = eff;
+      const key = layout ? '_nextLayoutEffects' : '_nextEffects';
+      if (!this[key]) this[key] = [];
+      this[key][i] = eff;
       // Ensure placeholder exists so hook indices align
       if (!this._hooks[i]) this._hooks[i] = { kind: 'effect' };
       // Return noop; not used directly by callers in this design
     }
 
     _useQuery(key, fetcher, options = {}) {
-      const i = this._hookIndex++;
+      const i = this._nextHook('useQuery');
       const k = String(key);
       let entry = this._hooks[i];
       if (!entry || entry.kind !== 'query' || entry.key !== k) {
@@ -246,6 +427,18 @@ export function defineComponent(setup) {
       }
 
       const snap = entry.snapshot || { data: Query.getData(k), error: null, updatedAt: 0 };
+      if (options && options.suspense && typeof snap.data === 'undefined') {
+        // Suspense mode: throw the in-flight fetch so the nearest Suspense shows its fallback
+        if (!entry.suspense) {
+          const state = { settled: false, error: null, promise: null };
+          state.promise = Query.fetch(k, typeof fetcher === 'function' ? fetcher : undefined, options)
+            .then(() => {}, (err) => { state.error = err; })
+            .then(() => { state.settled = true; });
+          entry.suspense = state;
+        }
+        if (!entry.suspense.settled) throw entry.suspense.promise;
+        if (snap.error || entry.suspense.error) throw snap.error || entry.suspense.error;
+      }
       const helpers = {
         data: entry.proxy,
         error: snap.error,
@@ -259,11 +452,13 @@ export function defineComponent(setup) {
     }
 
     // Reconcile and run effects after DOM has been patched
-    _flushEffects() {
-      this._effectsScheduled = false;
-      const prev = this._effects;
-      const next = this._nextEffects;
-      this._nextEffects = null;
+    _flushEffects(layout = false) {
+      const current = layout ? '_layoutEffects' : '_effects';
+      const pending = layout ? '_nextLayoutEffects' : '_nextEffects';
+      if (!layout) this._effectsScheduled = false;
+      const prev = this[current];
+      const next = this[pending];
+      this[pending] = null;
       
       // Early exit if no effects to process
       if (!next || next.length === 0) {
@@ -276,7 +471,7 @@ export function defineComponent(setup) {
             }
           }
         }
-        this._effects = [];
+        this[current] = [];
         return;
       }
       
@@ -306,24 +501,41 @@ export function defineComponent(setup) {
         // If no deps provided, always run
         const always = n.deps === undefined;
         if (always || shouldRun) {
+          // Record the props an effect with deps reads, to catch ones missing from its deps
+          const reads = this._devChecks && n.deps ? new Set() : null;
+          const outer = _effectReads;
+          _effectReads = reads;
           try {
             const cleanup = n.create && n.create();
             n.cleanup = typeof cleanup === 'function' ? cleanup : null;
-          } catch {}
-        } else if (p && p.cleanup) {
+          } catch (e) {
+            // A boundary that took the error has unmounted this instance; stop here
+            _effectReads = outer;
+            if (this._reportError(e, 'effect') && !this.element) return;
+          }
+          _effectReads = outer;
+          if (reads && reads.size) {
+            n.reads = reads;
+            n.propValues = {};
+            for (const key of reads) n.propValues[key] = this.props[key];
+          }
+        } else if (p) {
           // Keep existing cleanup if effect not re-run
-          n.cleanup = p.cleanup;
+          if (p.cleanup) n.cleanup = p.cleanup;
+          n.reads = p.reads;
+          n.propValues = p.propValues;
+          n.warned = p.warned;
+          if (this._devChecks) this._checkEffectDeps(i, n, layout);
         }
       }
       
-      this._effects = next;
+      this[current] = next;
     }
 
     // Lifecycle bridging
     onMount() {
-      if (this._setupResult && typeof this._setupResult.onMount === 'function') {
-        try { this._setupResult.onMount.call(this, this._buildCtx()); } catch {}
-      }
+      this._flushEffects(true);
+      this._mountSetup();
       // Re-bind events in case user registered them in onMount
       try { this.bindEvents(); } catch {}
       // Run effects scheduled for initial render
@@ -333,20 +545,33 @@ export function defineComponent(setup) {
       }
     }
 
+    onUpdated() {
+      this._flushEffects(true);
+      // An async setup that resolved after mounting gets its onMount on the first resolved render
+      if (!this._setupMounted) this._mountSetup();
+    }
+
+    _mountSetup() {
+      if (!this._setupResult) return;
+      this._setupMounted = true;
+      if (typeof this._setupResult.onMount === 'function') {
+        try { this._setupResult.onMount.call(this, this._buildCtx()); } catch (e) { this._reportError(e, 'mount'); }
+      }
+    }
+
     onUnmount() {
       // Cleanup effects
-      if (this._effects && this._effects.length) {
-        for (const e of this._effects) {
-          if (e && typeof e.cleanup === 'function') {
-            try { e.cleanup(); } catch {}
-          }
+      for (const e of [...(this._layoutEffects || []), ...(this._effects || [])]) {
+        if (e && typeof e.cleanup === 'function') {
+          try { e.cleanup(); } catch {}
         }
       }
+      this._layoutEffects = [];
       this._effects = [];
-      // Cleanup query subscriptions
+      // Cleanup query and store subscriptions
       if (this._hooks && this._hooks.length) {
         for (const h of this._hooks) {
-          if (h && h.kind === 'query' && typeof h.unsub === 'function') {
+          if (h && typeof h.unsub === 'function') {
             try { h.unsub(); } catch {}
             h.unsub = null;
           }
@@ -363,18 +588,68 @@ export function defineComponent(setup) {
       }
     }
 
-    onError(err) {
+    onError(err, info) {
       if (this._setupResult && typeof this._setupResult.onError === 'function') {
-        try { this._setupResult.onError.call(this, err); } catch {}
+        try { this._setupResult.onError.call(this, err, info); } catch {}
       }
     }
 
+    // Setup and render run with this instance current, so standalone hooks reach it
     template() {
+      const prev = _setCurrentInstance(this);
+      this._devChecks = _isDev();
+      this._renderHooks = this._devChecks ? [] : null;
+      try {
+        const output = this._renderSetup();
+        if (this._renderHooks) this._checkHookCount();
+        return output;
+      } finally {
+        this._renderHooks = null;
+        _setCurrentInstance(prev);
+      }
+    }
+
+    // Runs after a completed render; a render that threw (e.g. suspended) keeps the last order
+    _checkHookCount() {
+      const prev = this._hookOrder;
+      const seen = this._renderHooks;
+      if (prev && seen.length < prev.length) {
+        throw new Error(`${this._hookOwner()} rendered fewer hooks than during the previous render: expected ${prev.length}, got ${seen.length} (hook #${seen.length} was ${prev[seen.length]}). Hooks must be called in the same order on every render, never conditionally.`);
+      }
+      this._hookOrder = seen;
+    }
+
+    // Development: warns when an effect skipped for unchanged deps read a prop that has changed
+    _checkEffectDeps(i, effect, layout) {
+      if (!effect.reads || effect.warned) return;
+      for (const key of effect.reads) {
+        if (Object.is(this.props[key], effect.propValues[key])) continue;
+        effect.warned = true;
+        console.warn(`${layout ? 'useLayoutEffect' : 'useEffect'} #${i} in ${this._hookOwner()} reads props.${key}, which changed, but its deps did not. Add props.${key} to the deps array so the effect does not keep a stale value.`);
+        return;
+      }
+    }
+
+    _renderSetup() {
       this._hookIndex = 0;
       // Use stable ctx per instance to reduce allocations
       const ctx = this._buildCtx();
-      // Invoke setup on every render to compute current render with fresh state values
-      const res = setup(ctx) || {};
+      let res;
+      if (this._asyncSetup) {
+        // An async setup runs once; later renders only call its render()
+        if (this._asyncSetup.status !== 'resolved') return this._renderAsyncSetup(ctx);
+        res = this._asyncSetup.result;
+      } else {
+        // Invoke setup on every render to compute current render with fresh state values
+        res = setup(ctx) || {};
+        if (typeof res.then === 'function') {
+          if (this._hookIndex > 0) {
+            throw new Error(`${this._hookOwner()} called hooks in its async setup; call hooks in render() instead`);
+          }
+          this._startAsyncSetup(res);
+          return this._renderAsyncSetup(ctx);
+        }
+      }
       if (!this._setupRan) {
         // Capture lifecycle callbacks only on first run
         this._setupRan = true;
@@ -401,6 +676,43 @@ export function defineComponent(setup) {
       }
       return output;
     }
+
+    _startAsyncSetup(promise) {
+      const state = { status: 'pending', promise: null, result: null, error: null };
+      state.promise = Promise.resolve(promise).then((res) => {
+        state.status = 'resolved';
+        state.result = res || {};
+      }, (err) => {
+        state.status = 'error';
+        state.error = err;
+      }).then(() => {
+        if (this.element) this._enqueueRender();
+      });
+      this._asyncSetup = state;
+    }
+
+    // Output while an async setup is pending or after it rejected
+    _renderAsyncSetup(ctx) {
+      // Nothing here calls hooks, so the hook order of this render is not recorded
+      this._renderHooks = null;
+      const { status, promise, error } = this._asyncSetup;
+      if (status === 'pending') {
+        if (pending == null) throw promise;
+        return typeof pending === 'function' ? pending.call(this, ctx) : pending;
+      }
+      if (typeof renderRejected !== 'function') throw error;
+      return renderRejected.call(this, error, ctx);
+    }
+
+    /**
+     * Resolves once an async setup has settled (right away for a synchronous setup).
+     * Used by SSR.renderToStringAsync() to render the resolved output.
+     *
+     * @return {Promise<void>}
+     */
+    whenReady() {
+      return this._asyncSetup ? this._asyncSetup.promise : Promise.resolve();
+    }
   }
 
   return FunctionalAdapter;
@@ -0,0 +1,66 @@
+/**
+ * Standalone hooks for defineComponent() components. While a functional component runs its
+ * setup/render, it is the "current instance"; these functions forward to that instance's
+ * hooks, so reusable `useXxx()` helpers can be written without passing `ctx` around:
+ *
+ *   export function useToggle(initial = false) {
+ *     const [on, setOn] = useState(initial);
+ *     return [on, useCallback(() => setOn(v => !v), [])];
+ *   }
+ *
+ * The usual hook rules apply: call them unconditionally and in the same order on every render.
+ */
+
+let _current = null;
+
+// Makes `inst` the current instance; returns the previous one so calls can nest
+export function _setCurrentInstance(inst) {
+  const prev = _current;
+  _current = inst;
+  return prev;
+}
+
+/**
+ * Returns the functional component instance whose setup/render is running, or null.
+ *
+ * @returns {Object|null} The current component instance.
+ */
+export function getCurrentInstance() {
+  return _current;
+}
+
+function _ctx(name) {
+  if (!_current) {
+    throw new Error(`${name}() can only be called while a defineComponent() component runs its setup or render`);
+  }
+  return _current._ctx;
+}
+
+export const useState = (initial) => _ctx('useState').useState(initial);
+export const useReducer = (reducer, initialArg, init) => _ctx('useReducer').useReducer(reducer, initialArg, init);
+export const useRef = (initial) => _ctx('useRef').useRef(initial);
+export const useMemo = (factory, deps) => _ctx('useMemo').useMemo(factory, deps);
+export const useCallback = (fn, deps) => _ctx('useCallback').useCallback(fn, deps);
+export const useEffect = (effect, deps) => _ctx('useEffect').useEffect(effect, deps);
+export const useLayoutEffect = (effect, deps) => _ctx('useLayoutEffect').useLayoutEffect(effect, deps);
+export const useId = () => _ctx('useId').useId();
+export const useContext = (Context) => _ctx('useContext').useContext(Context);
+export const useStore = (store, selector, isEqual) => _ctx('useStore').useStore(store, selector, isEqual);
+export const useSyncExternalStore = (subscribe, getSnapshot) => _ctx('useSyncExternalStore').useSyncExternalStore(subscribe, getSnapshot);
+export const useQuery = (key, fetcher, options) => _ctx('useQuery').useQuery(key, fetcher, options);
+
+export default {
+  getCurrentInstance,
+  useState,
+  useReducer,
+  useRef,
+  useMemo,
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useId,
+  useContext,
+  useStore,
+  useSyncExternalStore,
+  useQuery
+};
@@ -1,3 +1,5 @@
+import { lazy } from '../component/Suspense.js';
+
 /**
  * SmoothRouter class provides client-side routing functionality for single-page applications (SPAs).
  * It enables navigation between different parts of the application without reloading the page
@@ -7,15 +9,23 @@
 export class SmoothRouter {
   constructor(options = {}) {
     this._routeTree = []; // array of top-level route nodes
+    this._named = new Map(); // route name -> node
     this.currentPath = null;
+    this.currentQuery = {};
+    this.currentHash = '';
     this._listeners = [];
     this._navSubscribers = new Set();
-    this._mountedInstances = []; // chain of mounted components for nested routes
+    // Mounted route levels: { node, views: { [outlet]: { Comp, inst } }, container, data, paramsKey }
+    this._mountedChain = [];
+    this._currentRoute = null; // { path, url, params, query, hash } passed to route guards
+    this._navId = 0; // a newer navigation supersedes one still awaiting guards or resolvers
     this.options = {
       mode: options.mode === 'hash' ? 'hash' : 'history',
       root: options.root || '#app',
       notFound: options.notFound || null,
-      beforeEach: typeof options.beforeEach === 'function' ? options.beforeEach : null
+      errorComponent: options.errorComponent || null,
+      beforeEach: typeof options.beforeEach === 'function' ? options.beforeEach : null,
+      afterEach: typeof options.afterEach === 'function' ? options.afterEach : null
     };
     this._root = this.options.root;
 
@@ -51,8 +61,9 @@ export class SmoothRouter {
     }
   }
 
-  // Public: build a link string for use in templates
+  // Public: build a link string for use in templates; `to` may be a path or a { name, params, query, hash } route
   link(to, label, { exact = false, activeClass = 'active', attrs = '' } = {}) {
+    if (to && typeof to === 'object') to = this.resolve(to);
     const href = this.options.mode === 'hash' ? `#${to}` : to;
     const isActive = this._isActive(to, { exact });
     const cls = isActive ? ` class="${activeClass}"` : '';
@@ -62,22 +73,23 @@ export class SmoothRouter {
 
   _isActive(to, { exact = false } = {}) {
     if (!this.currentPath) return false;
+    to = this._parseLocation(to).path;
     if (exact) return this.currentPath === to;
     return this.currentPath === to || this.currentPath.startsWith(to.endsWith('/') ? to : to + '/');
   }
   
-  // Register a route. Supports component class, async loader, or node with children
+  // Register a route. Supports component class, async loader, or node with children.
+  // `components: { default, sidebar }` renders into the parent's named outlets; `beforeEnter`,
+  // `beforeLeave` and `resolve` add per-route guards and data loaders.
   route(path, target) {
     const node = this._ensurePath(path);
-    if (target && typeof target === 'object' && (target.component || target.load || target.children)) {
-      if (target.component) node.component = target.component;
-      if (typeof target.load === 'function') node.load = target.load;
+    if (target && typeof target === 'object' && !target.prototype) {
+      this._configure(node, target);
       if (Array.isArray(target.children)) {
         target.children.forEach(child => {
           const childPath = child.path || '';
           const childNode = this._ensurePath(path + (path.endsWith('/') || !childPath ? '' : '/') + childPath);
-          if (child.component) childNode.component = child.component;
-          if (typeof child.load === 'function') childNode.load = child.load;
+          this._configure(childNode, child);
         });
       }
     } else {
@@ -91,6 +103,21 @@ export class SmoothRouter {
     return this;
   }
 
+  _configure(node, def) {
+    if (def.name) {
+      const name = String(def.name);
+      if (this._named.has(name) && this._named.get(name) !== node) throw new Error(`Router: duplicate route name "${name}"`);
+      this._named.set(name, node);
+      node.name = name;
+    }
+    if (def.component) node.component = def.component;
+    if (typeof def.load === 'function') node.load = def.load;
+    if (def.components && typeof def.components === 'object') node.components = { ...def.components };
+    if (typeof def.beforeEnter === 'function') node.beforeEnter = def.beforeEnter;
+    if (typeof def.beforeLeave === 'function') node.beforeLeave = def.beforeLeave;
+    if (def.resolve && typeof def.resolve === 'object') node.resolve = { ...def.resolve };
+  }
+
   _ensurePath(path) {
     const segments = this._splitPath(path);
     let level = this._routeTree;
@@ -98,7 +125,7 @@ export class SmoothRouter {
     for (const seg of segments) {
       let n = level.find(r => r.segment === seg);
       if (!n) {
-        n = { segment: seg, children: [] };
+        n = { segment: seg, children: [], parent: node };
         level.push(n);
       }
       node = n;
@@ -106,12 +133,44 @@ export class SmoothRouter {
     }
     // Support index route when path is '/'
     if (!node && segments.length === 0) {
-      node = { segment: '', children: [] };
+      node = { segment: '', children: [], parent: null };
       this._routeTree.push(node);
     }
     return node;
   }
 
+  /**
+   * Builds the URL of a named route, so paths are written once in route(). Params are
+   * URL-encoded and checked against the route pattern.
+   *
+   * @param {{name: string, params?: Object, query?: Object, hash?: string}} target
+   * @returns {string} The URL, e.g. '/users/42?tab=posts' (without the '#' in hash mode).
+   * @throws {Error} For an unknown name, a missing required param, or a param that fails its constraint.
+   */
+  resolve({ name, params = {}, query, hash } = {}) {
+    const node = this._named.get(String(name));
+    if (!node) throw new Error(`Router: no route named "${name}"`);
+    const nodes = [];
+    for (let n = node; n; n = n.parent) nodes.unshift(n);
+    const parts = [];
+    for (const n of nodes) {
+      const pattern = this._pattern(n);
+      if (pattern.kind === 'static') {
+        if (pattern.value) parts.push(pattern.value);
+        continue;
+      }
+      const value = params[pattern.name];
+      const values = value == null || value === '' ? [] : (pattern.kind === 'splat' ? String(value).split('/') : [].concat(value).map(String));
+      if (values.length < pattern.min) throw new Error(`Router: missing required param "${pattern.name}" for route "${name}"`);
+      if (values.length > pattern.max) throw new Error(`Router: param "${pattern.name}" of route "${name}" takes a single value`);
+      for (const v of values) {
+        if (pattern.kind !== 'splat' && !pattern.test(v)) throw new Error(`Router: param "${pattern.name}" of route "${name}" does not match ${n.segment}: "${v}"`);
+        parts.push(encodeURIComponent(v));
+      }
+    }
+    return this._formatLocation({ path: `/${parts.join('/')}`, query, hash });
+  }
+
   _splitPath(path) {
     if (!path || path === '/') return [];
     return path.replace(/^\//, '').split('/');
@@ -122,145 +181,431 @@ export class SmoothRouter {
     if (this.options.mode === 'hash') {
       return window.location.hash.replace(/^#/, '') || '/';
     }
-    return window.location.pathname || '/';
+    return (window.location.pathname || '/') + window.location.search + window.location.hash;
+  }
+
+  // Splits '/path?a=1&b=2#frag' into { path, query, hash }; repeated query keys become arrays
+  _parseLocation(url) {
+    let rest = String(url || '/');
+    let hash = '';
+    const hashAt = rest.indexOf('#');
+    if (hashAt >= 0) { hash = rest.slice(hashAt + 1); rest = rest.slice(0, hashAt); }
+    const query = {};
+    const queryAt = rest.indexOf('?');
+    if (queryAt >= 0) {
+      for (const [key, value] of new URLSearchParams(rest.slice(queryAt + 1))) {
+        if (key in query) query[key] = [].concat(query[key], value);
+        else query[key] = value;
+      }
+      rest = rest.slice(0, queryAt);
+    }
+    return { path: rest || '/', query, hash };
+  }
+
+  // Builds the URL for a location; null/undefined query values are left out
+  _formatLocation({ path = '/', query = {}, hash = '' }) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value == null) continue;
+      for (const v of [].concat(value)) search.append(key, String(v));
+    }
+    const qs = search.toString();
+    return `${path}${qs ? `?${qs}` : ''}${hash ? `#${hash}` : ''}`;
+  }
+
+  _currentUrl() {
+    return this._formatLocation({ path: this.currentPath || '/', query: this.currentQuery, hash: this.currentHash });
+  }
+
+  // Props every route component receives
+  _routeProps(params) {
+    return { params, query: this.currentQuery, hash: this.currentHash };
+  }
+
+  _writeUrl(url, replace) {
+    if (this.options.mode === 'hash') {
+      const target = `#${url}`;
+      if (window.location.hash !== target) window.location.hash = target; // avoid location.replace to prevent jsdom navigation
+      return;
+    }
+    if (window.location.pathname + window.location.search + window.location.hash === url) return;
+    if (replace) history.replaceState(null, '', url);
+    else history.pushState(null, '', url);
   }
 
-  async navigate(path, navOptions = {}) {
+  _notify() {
+    const location = { path: this.currentPath, query: this.currentQuery, hash: this.currentHash };
+    this._navSubscribers.forEach(cb => { try { cb(this.currentPath, location); } catch {} });
+  }
+
+  /**
+   * Navigates to a URL string ('/users?page=2#top'), a `{ path, query, hash }` object, or a named
+   * route `{ name, params, query, hash }` (see resolve()).
+   *
+   * Guards run in this order: `beforeLeave` of the routes being left (deepest first), the global
+   * `beforeEach`, then `beforeEnter` of the routes being entered. A guard may return false to
+   * cancel, or a path/location to redirect (replacing the history entry). Next, components load
+   * and `resolve` loaders run in parallel; their results become props. A guard or loader that
+   * throws renders `errorComponent`. `afterEach` runs once the new view is mounted.
+   *
+   * @param {string|{path?: string, name?: string, params?: Object, query?: Object, hash?: string}} [target] - Defaults to the current URL.
+   * @param {{replace?: boolean}} [navOptions]
+   * @param {number} [redirects=0] - Guard redirects so far (internal; stops redirect loops).
+   */
+  async navigate(target, navOptions = {}, redirects = 0) {
     if (typeof window === 'undefined') return;
+    if (redirects > 10) {
+      console.error('Router: too many redirects while navigating to', target);
+      return;
+    }
+    const nav = ++this._navId;
 
-    const to = path || this._resolvePath();
+    if (target && typeof target === 'object' && target.name) target = this.resolve(target);
+    // Object targets go through the URL too, so query values arrive as strings either way
+    const location = this._parseLocation((target && typeof target === 'object')
+      ? this._formatLocation({ path: target.path || this.currentPath || '/', query: target.query, hash: target.hash })
+      : (target || this._resolvePath()));
+    const to = location.path;
+    const url = this._formatLocation(location);
     const from = this.currentPath;
+    const found = this._find(to);
+    const levels = found ? found.levels : [];
+    const toRoute = { path: to, url, params: found ? found.params : {}, query: location.query, hash: location.hash };
+    const fromRoute = this._currentRoute;
 
-    if (this.options.beforeEach) {
-      const res = await this.options.beforeEach(to, from);
-      if (res === false) return; // navigation canceled
-      if (typeof res === 'string' && res && res !== to) {
-        // redirect path returned by guard
-        return this.navigate(res, { replace: true });
+    // Levels of the current chain that stay mounted
+    const mounted = this._mountedChain;
+    let keep = 0;
+    while (keep < levels.length && keep < mounted.length && mounted[keep].node === levels[keep].node) keep++;
+
+    let chain;
+    try {
+      const guards = [];
+      for (let i = mounted.length - 1; i >= keep; i--) {
+        const { node, views } = mounted[i];
+        if (node && node.beforeLeave) guards.push(() => node.beforeLeave(toRoute, fromRoute, views.default ? views.default.inst : null));
+      }
+      if (this.options.beforeEach) guards.push(() => this.options.beforeEach(to, from));
+      for (let i = keep; i < levels.length; i++) {
+        const { node } = levels[i];
+        if (node.beforeEnter) guards.push(() => node.beforeEnter(toRoute, fromRoute));
+      }
+      for (const guard of guards) {
+        const res = await guard();
+        if (nav !== this._navId) return;
+        if (res === false) return this._cancelNavigation(); // navigation canceled
+        const redirect = this._redirectOf(res, to, url);
+        if (redirect) return this.navigate(redirect, { replace: true }, redirects + 1);
       }
+      chain = await Promise.all(levels.map((level, i) => this._loadLevel(level, i < keep ? mounted[i] : null, toRoute, fromRoute)));
+    } catch (error) {
+      if (nav !== this._navId) return;
+      return this._navigationFailed(error, toRoute, fromRoute, navOptions);
     }
+    if (nav !== this._navId) return;
 
-    // Unmount previously mounted chain
-    this._mountedInstances.forEach(inst => {
-      try { inst.unmount && inst.unmount(); } catch {}
-    });
-    this._mountedInstances = [];
-
-    // Match route chain
-    const match = await this._match(to);
     this.currentPath = to;
+    this.currentQuery = location.query;
+    this.currentHash = location.hash;
+    this._currentRoute = toRoute;
 
-    if (match && match.chain.length) {
-      await this._renderChain(match);
-    } else if (this.options.notFound) {
-      const NotFound = this.options.notFound;
-      const inst = new NotFound();
-      const mountTarget = (typeof this.options.root === 'string')
-        ? (typeof document !== 'undefined' ? document.querySelector(this.options.root) : null)
-        : this.options.root;
-      inst.mount(mountTarget || this.options.root);
-      this._mountedInstances = [inst];
+    if (chain.length) {
+      await this._renderChain({ chain, params: toRoute.params });
+    } else {
+      this._unmountFrom(0);
+      if (this.options.notFound) this._mountFallback(this.options.notFound, this._routeProps({}));
     }
+    this._finishNavigation(toRoute, fromRoute, navOptions);
+  }
 
-    // update URL
-    if (navOptions.replace) {
-      if (this.options.mode === 'hash') {
-        const target = `#${to}`;
-        if (window.location.hash !== target) window.location.hash = target; // avoid location.replace to prevent jsdom navigation
-      } else if (window.location.pathname !== to) {
-        history.replaceState(null, '', to);
-      }
-    } else {
-      if (this.options.mode === 'hash') {
-        const target = `#${to}`;
-        if (window.location.hash !== target) window.location.hash = target;
-      } else if (window.location.pathname !== to) {
-        history.pushState(null, '', to);
-      }
+  // A guard result that redirects: a path other than the target, or a { path | name, ... } location
+  _redirectOf(res, to, url) {
+    if (typeof res === 'string' && res && res !== to && res !== url) return res;
+    if (res && typeof res === 'object' && (typeof res.path === 'string' || res.name)) return res;
+    return null;
+  }
+
+  // Components and resolved data for one matched level. Resolvers run when the level is
+  // entered, or when a kept level's params changed; otherwise the kept level's data is reused.
+  async _loadLevel({ node, params }, kept, toRoute, fromRoute) {
+    const paramsKey = JSON.stringify(params);
+    const rerun = !kept || kept.paramsKey !== paramsKey;
+    const resolvers = rerun && node.resolve ? Object.entries(node.resolve) : [];
+    const components = this._ensureComponents(node);
+    const values = await Promise.all(resolvers.map(([, load]) => load(toRoute, fromRoute)));
+    let data = kept ? kept.data : null;
+    if (rerun) {
+      data = {};
+      resolvers.forEach(([key], i) => { data[key] = values[i]; });
+    }
+    return { node, component: components.default || null, components, data, paramsKey };
+  }
+
+  _cancelNavigation() {
+    // Put back the URL when the browser already moved (back/forward, hash edits)
+    if (this.currentPath != null) this._writeUrl(this._currentUrl(), true);
+  }
+
+  _navigationFailed(error, toRoute, fromRoute, navOptions) {
+    const ErrorView = this.options.errorComponent;
+    if (!ErrorView) {
+      console.error('Router: navigation failed:', error);
+      this._cancelNavigation();
+      return;
+    }
+    this.currentPath = toRoute.path;
+    this.currentQuery = toRoute.query;
+    this.currentHash = toRoute.hash;
+    this._currentRoute = toRoute;
+    this._unmountFrom(0);
+    this._mountFallback(ErrorView, { ...this._routeProps(toRoute.params), error });
+    this._finishNavigation(toRoute, fromRoute, navOptions, error);
+  }
+
+  // Mounts a not-found or error view at the root in place of the route chain
+  _mountFallback(Comp, props) {
+    const inst = new Comp();
+    const mountTarget = this._rootElement();
+    inst.mount(mountTarget || this.options.root, { props });
+    this._mountedChain = [{ node: null, views: { default: { Comp, inst } }, container: mountTarget, data: null, paramsKey: '' }];
+  }
+
+  _finishNavigation(toRoute, fromRoute, navOptions, error) {
+    this._writeUrl(toRoute.url, navOptions.replace);
+    if (this.options.afterEach) {
+      try { this.options.afterEach(toRoute, fromRoute, error); } catch (e) { console.error('Router: afterEach error:', e); }
     }
 
     // notify subscribers for active links
-    this._navSubscribers.forEach(cb => { try { cb(this.currentPath); } catch {} });
+    this._notify();
     this._updateActiveLinks();
   }
 
-  async _match(path) {
-    const segments = this._splitPath(path);
-    const chain = [];
-    const params = {};
-    let nodes = this._routeTree;
-
-    for (let i = 0; i <= segments.length; i++) {
-      const seg = segments[i] || '';
-      let matched = null;
-
-      // Try static match first
-      matched = nodes.find(n => n.segment === seg);
-      // Try dynamic :param match
-      if (!matched) {
-        matched = nodes.find(n => typeof n.segment === 'string' && n.segment.startsWith(':'));
-        if (matched && matched.segment.length > 1) {
-          const key = matched.segment.slice(1);
-          params[key] = seg || '';
-        }
+  /**
+   * Updates the query string without re-matching or remounting: mounted route components get
+   * the new `query` through setProps() and onChange subscribers are notified. An object is
+   * merged into the current query (null/undefined values remove keys); a function receives
+   * the current query and returns the complete new one.
+   *
+   * @param {Object|Function} update - Query changes, or `(query) => nextQuery`.
+   * @param {{replace?: boolean}} [options] - Replace the history entry instead of pushing one.
+   */
+  setQuery(update, { replace = false } = {}) {
+    if (typeof window === 'undefined') return;
+    const next = typeof update === 'function' ? update({ ...this.currentQuery }) : { ...this.currentQuery, ...update };
+    const { query } = this._parseLocation(this._formatLocation({ query: next }));
+    this.currentQuery = query;
+    if (this._currentRoute) this._currentRoute = { ...this._currentRoute, query, url: this._currentUrl() };
+    this._writeUrl(this._currentUrl(), replace);
+    for (const level of this._mountedChain) {
+      for (const { inst } of Object.values(level.views)) {
+        try { inst.setProps({ query }); } catch {}
       }
+    }
+    this._notify();
+  }
 
-      if (!matched) break;
+  // Matches the whole path against the route tree. Candidates at each level are tried by rank
+  // (static, constrained param, param, optional, repeatable, splat) and the search backtracks
+  // when a branch cannot match the rest of the path. Returns { levels: [{ node, params }], params } or null.
+  _find(path) {
+    const segments = this._splitPath(path).map(seg => {
+      try { return decodeURIComponent(seg); } catch { return seg; }
+    });
+    if (segments[segments.length - 1] === '') segments.pop(); // trailing slash
+    return this._matchLevel(this._routeTree, segments, 0, {});
+  }
 
-      const comp = await this._ensureComponent(matched);
-      chain.push({ node: matched, component: comp });
+  _matchLevel(nodes, segments, index, params) {
+    const ranked = nodes
+      .map((node, order) => ({ node, pattern: this._pattern(node), order }))
+      .sort((a, b) => (b.pattern.rank - a.pattern.rank) || (a.order - b.order));
+    for (const { node, pattern } of ranked) {
+      for (const count of this._counts(pattern, segments, index)) {
+        const taken = segments.slice(index, index + count);
+        const next = { ...params };
+        if (pattern.name) {
+          if (pattern.kind === 'splat') next[pattern.name] = taken.join('/');
+          else if (pattern.repeat) next[pattern.name] = taken;
+          else if (count) next[pattern.name] = taken[0];
+        }
+        const at = index + count;
+        // At the end of the path, an index/optional child still gets the chance to render
+        const rest = node.children.length ? this._matchLevel(node.children, segments, at, next) : null;
+        if (rest) return { levels: [{ node, params: next }, ...rest.levels], params: rest.params };
+        if (at === segments.length && this._routable(node)) return { levels: [{ node, params: next }], params: next };
+      }
+    }
+    return null;
+  }
 
-      nodes = matched.children || [];
+  // How many segments a pattern may take at `index`, longest first
+  _counts(pattern, segments, index) {
+    const left = segments.length - index;
+    const fits = (n) => segments.slice(index, index + n).every(seg => pattern.test(seg));
+    if (pattern.kind === 'static') {
+      if (pattern.value === '') return [0]; // index route
+      return left > 0 && segments[index] === pattern.value ? [1] : [];
+    }
+    const out = [];
+    for (let n = Math.min(left, pattern.max); n >= pattern.min; n--) {
+      if (fits(n)) out.push(n);
     }
+    return out;
+  }
 
-    return { chain, params };
+  _routable(node) {
+    return !!(node.component || node.load || (node.components && Object.keys(node.components).length));
   }
 
-  async _ensureComponent(node) {
+  // Parses a route segment: 'users', ':id', ':id?', ':id(\\d+)', ':path+', ':path*', '*rest' or '*'
+  _pattern(node) {
+    if (node._pattern) return node._pattern;
+    const segment = node.segment;
+    let pattern;
+    const param = /^:(\w+)(?:\((.+)\))?([?+*])?$/.exec(segment);
+    const splat = /^\*(\w*)$/.exec(segment);
+    if (param) {
+      const [, name, source, modifier] = param;
+      const re = source ? new RegExp(`^(?:${source})$`) : null;
+      const ranks = { '': 6, '?': 4, '+': 2, '*': 0 };
+      pattern = {
+        kind: 'param',
+        name,
+        repeat: modifier === '+' || modifier === '*',
+        min: modifier === '?' || modifier === '*' ? 0 : 1,
+        max: modifier === '+' || modifier === '*' ? Infinity : 1,
+        // A constraint ranks a param above an unconstrained one with the same modifier
+        rank: ranks[modifier || ''] + (re ? 1 : 0),
+        test: (seg) => seg !== '' && (!re || re.test(seg))
+      };
+    } else if (splat) {
+      pattern = { kind: 'splat', name: splat[1] || '*', repeat: false, min: 0, max: Infinity, rank: -1, test: () => true };
+    } else {
+      pattern = { kind: 'static', value: segment, rank: 8 };
+    }
+    node._pattern = pattern;
+    return pattern;
+  }
+
+  // Loaders are wrapped in lazy(), so a route mounts at once and suspends until its module
+  // loads: the nearest Suspense shows its fallback and load failures reach error boundaries
+  _ensureComponent(node) {
     if (node.component) return node.component;
     if (typeof node.load === 'function') {
-      if (node._loaded) return node._loaded;
-      const loaded = await node.load();
-      // Support default export or constructor
-      node._loaded = loaded && loaded.default ? loaded.default : loaded;
+      if (!node._loaded) node._loaded = lazy(node.load);
       return node._loaded;
     }
     return null;
   }
 
+  // Components by outlet name; `components` entries may be classes or async loaders
+  _ensureComponents(node) {
+    const out = {};
+    const main = this._ensureComponent(node);
+    if (main) out.default = main;
+    if (node.components) {
+      if (!node._loadedComponents) node._loadedComponents = {};
+      for (const [outlet, target] of Object.entries(node.components)) {
+        if (!target) continue;
+        if (typeof target === 'function' && !target.prototype) {
+          if (!node._loadedComponents[outlet]) node._loadedComponents[outlet] = lazy(target);
+          out[outlet] = node._loadedComponents[outlet];
+        } else {
+          out[outlet] = target;
+        }
+      }
+    }
+    return out;
+  }
+
+  _rootElement() {
+    return (typeof this.options.root === 'string')
+      ? (typeof document !== 'undefined' ? document.querySelector(this.options.root) : null)
+      : this.options.root;
+  }
+
+  // The outlet named `name` that belongs to `scope` itself, not to a route rendered inside it
+  _findOutlet(scope, name) {
+    if (!scope || !scope.querySelectorAll) return null;
+    for (const el of scope.querySelectorAll('[data-router-outlet]')) {
+      if ((el.getAttribute('data-router-outlet') || 'default') !== name) continue;
+      const owner = el.parentElement && el.parentElement.closest('[data-router-outlet]');
+      if (!owner || owner === scope || !scope.contains(owner)) return el;
+    }
+    return null;
+  }
+
+  _sameViews(views, components) {
+    const names = Object.keys(components);
+    if (names.length !== Object.keys(views).length) return false;
+    return names.every(name => views[name] && views[name].Comp === components[name]);
+  }
+
+  // Unmounts route levels from `index` down, deepest first
+  _unmountFrom(index) {
+    for (let i = this._mountedChain.length - 1; i >= index; i--) {
+      for (const { inst } of Object.values(this._mountedChain[i].views)) {
+        try { inst.unmount && inst.unmount(); } catch {}
+      }
+    }
+    this._mountedChain.length = Math.min(index, this._mountedChain.length);
+  }
+
+  // Levels whose route and components are unchanged stay mounted and receive the new params
+  // through setProps(); the rest of the chain is unmounted and mounted again
   async _renderChain(match) {
     const { chain, params } = match;
     // Resolve the initial mount target to an Element if a selector string was provided
-    let mountTarget = (typeof this.options.root === 'string')
-      ? (typeof document !== 'undefined' ? document.querySelector(this.options.root) : null)
-      : this.options.root;
+    let rootEl = this._rootElement();
     // Defensive: if not found yet, try once more on next microtask before proceeding
-    if (!mountTarget && typeof document !== 'undefined' && typeof this.options.root === 'string') {
+    if (!rootEl && typeof document !== 'undefined' && typeof this.options.root === 'string') {
       await Promise.resolve();
-      mountTarget = document.querySelector(this.options.root);
-      if (!mountTarget) {
+      rootEl = document.querySelector(this.options.root);
+      if (!rootEl) {
         console.warn('Router: mount root not found:', this.options.root);
         return; // bail gracefully; caller may retry via start or subsequent navigation
       }
     }
-    for (let i = 0; i < chain.length; i++) {
-      const Comp = chain[i].component;
-      if (!Comp) continue;
-      const inst = new Comp();
-      inst.mount(mountTarget || this.options.root, { props: { params } });
-      this._mountedInstances.push(inst);
-      // Find outlet for next component
-      if (i < chain.length - 1) {
-        const rootEl = mountTarget && mountTarget.querySelector ? mountTarget : (typeof document !== 'undefined' && typeof this.options.root === 'string' ? document.querySelector(this.options.root) : this.options.root);
-        const outlet = rootEl && rootEl.querySelector ? rootEl.querySelector('[data-router-outlet]') : null;
-        mountTarget = outlet || rootEl; // if no outlet, mount into same root
+    const mounted = this._mountedChain;
+    let keep = 0;
+    while (keep < chain.length && keep < mounted.length && mounted[keep].node === chain[keep].node
+      && this._sameViews(mounted[keep].views, chain[keep].components)) keep++;
+    this._unmountFrom(keep);
+    for (let i = 0; i < keep; i++) {
+      const { data, paramsKey } = chain[i];
+      mounted[i].data = data;
+      mounted[i].paramsKey = paramsKey;
+      for (const { inst } of Object.values(mounted[i].views)) {
+        try { inst.setProps({ ...this._routeProps(params), ...(data || {}) }); } catch {}
+      }
+    }
+
+    for (let i = keep; i < chain.length; i++) {
+      const { node, components, data = null, paramsKey = '' } = chain[i];
+      // Outlets of this level live in the previous level's container (the document for named top-level outlets)
+      const scope = i === 0 ? rootEl : mounted[i - 1].container;
+      const level = { node, views: {}, container: scope, data, paramsKey };
+      for (const [name, Comp] of Object.entries(components)) {
+        let target;
+        if (name === 'default') target = i === 0 ? rootEl : (this._findOutlet(scope, 'default') || scope); // if no outlet, mount into same root
+        else target = this._findOutlet(i === 0 ? document : scope, name);
+        if (!target) {
+          console.warn(`Router: no outlet named "${name}" for route segment "${node.segment}"`);
+          continue;
+        }
+        const inst = new Comp();
+        inst.mount(target || this.options.root, { props: { ...this._routeProps(params), ...(data || {}) } });
+        level.views[name] = { Comp, inst };
+        if (name === 'default') level.container = target;
       }
+      mounted.push(level);
     }
   }
 
   _handleLocationChange() {
-    const path = this._resolvePath();
-    if (path !== this.currentPath) this.navigate(path, { replace: true });
+    const url = this._formatLocation(this._parseLocation(this._resolvePath()));
+    if (url !== this._currentUrl()) this.navigate(url, { replace: true });
   }
   
   start() {
@@ -294,7 +639,6 @@ export class SmoothRouter {
     });
     this._listeners = [];
     this._navSubscribers.clear();
-    this._mountedInstances.forEach(inst => { try { inst.unmount && inst.unmount(); } catch {} });
-    this._mountedInstances = [];
+    this._unmountFrom(0);
   }
 }
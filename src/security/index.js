@@ -121,4 +121,55 @@ export function configureSanitizer(fn) {
   customSanitizer = (typeof fn === 'function') ? fn : null;
 }
 
-export default { sanitize, configureSanitizer };
+/**
+ * Markup trusted to be inserted as HTML by `SmoothComponent.html` when auto-escaping is on.
+ * Create instances with `unsafeHTML()` or `sanitizeHTML()`, never from user input directly.
+ */
+export class SafeHTML {
+  constructor(html) {
+    this.__html = String(html == null ? '' : html);
+  }
+  toString() {
+    return this.__html;
+  }
+}
+
+export function isSafeHTML(value) {
+  return value instanceof SafeHTML;
+}
+
+/**
+ * Marks a markup string as trusted so auto-escaping templates insert it verbatim.
+ * Only use it for markup you control; pass user content through `sanitizeHTML` instead.
+ *
+ * @param {string} html - Raw markup.
+ * @returns {SafeHTML} The trusted markup.
+ */
+export function unsafeHTML(html) {
+  return isSafeHTML(html) ? html : new SafeHTML(html);
+}
+
+/**
+ * Runs markup through `sanitize()` and marks the result as trusted.
+ *
+ * @param {string} html - Untrusted markup.
+ * @param {Object} [options={}] - Options forwarded to `sanitize()`.
+ * @returns {SafeHTML} The sanitized, trusted markup.
+ */
+export function sanitizeHTML(html, options = {}) {
+  return new SafeHTML(sanitize(html, options));
+}
+
+const _escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes text for use in HTML content and quoted attribute values.
+ *
+ * @param {*} value - The value to escape; converted with `String()`.
+ * @returns {string} The escaped text.
+ */
+export function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, ch => _escapes[ch]);
+}
+
+export default { sanitize, configureSanitizer, SafeHTML, isSafeHTML, unsafeHTML, sanitizeHTML, escapeHTML };
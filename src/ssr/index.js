@@ -1,11 +1,43 @@
+import { isSafeHTML } from '../security/index.js';
 
 
+
+// Creates the instance; components may ignore constructor args, so assign props/state explicitly
+function _createInstance(ComponentClass, props, state, containerId) {
+  const instance = new ComponentClass(null, undefined, undefined);
+  try {
+    if (props && typeof props === 'object') instance.props = { ...(instance.props || {}), ...props };
+    if (state && typeof state === 'object') instance.state = { ...(instance.state || {}), ...state };
+  } catch {}
+  // useId() scopes ids by the root element id, which is containerId once hydrated
+  if (containerId) instance._idRoot = String(containerId);
+  return instance;
+}
+
+function _toHTML(out) {
+  if (typeof out === 'string' || isSafeHTML(out)) return String(out);
+  if (out && typeof out.outerHTML === 'string') return out.outerHTML;
+  return String(out ?? '');
+}
+
+function _errorHTML(e) {
+  return `<div style="color:red;">SSR Error: ${e && e.message ? e.message : String(e)}</div>`;
+}
+
+function _wrap(html, containerId) {
+  return containerId ? `<div id="${String(containerId)}">${html}</div>` : html;
+}
+
+// Upper bound on re-renders while awaiting async setups and suspended data
+const _maxAsyncPasses = 10;
+
 /**
  * The `SSR` object provides methods for server-side rendering of components to a string.
  * It is designed to take a component class, instantiate it, and render its output
  * into an HTML string representation, optionally wrapping it in a container with a specific ID.
  *
  * @property {function} renderToString - Renders an instance of the given component class as an HTML string.
+ * @property {function} renderToStringAsync - Like renderToString, but first awaits async setups and suspended data.
  *
  * @method renderToString
  * @param {class} ComponentClass - The class of the component to be rendered.
@@ -17,25 +49,55 @@
  */
 export const SSR = {
   renderToString(ComponentClass, { props = {}, state = undefined, containerId = null } = {}) {
-    // Create instance; components may ignore constructor args, so assign props/state explicitly
-    const instance = new ComponentClass(null, undefined, undefined);
-    try {
-      if (props && typeof props === 'object') instance.props = { ...(instance.props || {}), ...props };
-      if (state && typeof state === 'object') instance.state = { ...(instance.state || {}), ...state };
-    } catch {}
+    const instance = _createInstance(ComponentClass, props, state, containerId);
     let html = '';
     try {
-      const out = instance.template();
-      if (typeof out === 'string') html = out;
-      else if (out && typeof out.outerHTML === 'string') html = out.outerHTML;
-      else html = String(out ?? '');
+      html = _toHTML(instance.template());
     } catch (e) {
-      html = `<div style="color:red;">SSR Error: ${e && e.message ? e.message : String(e)}</div>`;
+      // A thrown promise means "not ready yet": render nothing, as renderToStringAsync would wait
+      html = e && typeof e.then === 'function' ? '' : _errorHTML(e);
     }
-    if (containerId) {
-      return `<div id="${String(containerId)}">${html}</div>`;
+    return _wrap(html, containerId);
+  },
+
+  /**
+   * Renders like renderToString(), but when the component is not ready yet (an async
+   * defineComponent() setup, or a template that throws a promise such as a suspense
+   * useQuery) it awaits that and renders again, so the output contains the resolved data.
+   *
+   * @param {class} ComponentClass - The class of the component to be rendered.
+   * @param {object} [options] - The same options as renderToString().
+   * @returns {Promise<string>} The rendered HTML. Rejects when the template still throws a
+   * promise after the maximum number of passes.
+   */
+  async renderToStringAsync(ComponentClass, { props = {}, state = undefined, containerId = null } = {}) {
+    const instance = _createInstance(ComponentClass, props, state, containerId);
+    let html = '';
+    for (let pass = 0; ; pass++) {
+      let out;
+      let waitFor = null;
+      try {
+        out = instance.template();
+      } catch (e) {
+        if (!(e && typeof e.then === 'function')) {
+          html = _errorHTML(e);
+          break;
+        }
+        if (pass >= _maxAsyncPasses) {
+          throw new Error(`SSR: suspended data did not resolve after ${_maxAsyncPasses} passes`);
+        }
+        waitFor = e;
+      }
+      if (!waitFor && instance._asyncSetup && instance._asyncSetup.status === 'pending' && pass < _maxAsyncPasses) {
+        waitFor = instance.whenReady();
+      }
+      if (!waitFor) {
+        html = _toHTML(out);
+        break;
+      }
+      try { await waitFor; } catch {}
     }
-    return html;
+    return _wrap(html, containerId);
   }
 };
 
@@ -0,0 +1,174 @@
+/**
+ * The observer currently collecting dependencies (a component render, computed or effect).
+ * Signal reads made while an observer is active subscribe that observer to the signal.
+ */
+let _activeObserver = null;
+
+function _link(source) {
+  if (!_activeObserver) return;
+  source.observers.add(_activeObserver);
+  _activeObserver.sources.add(source);
+}
+
+function _unlinkAll(observer) {
+  for (const source of observer.sources) source.observers.delete(observer);
+  observer.sources.clear();
+}
+
+function _notify(source) {
+  // Copy to array to avoid mutation during iteration (observers re-track while running)
+  Array.from(source.observers).forEach((o) => {
+    try { o.notify(); } catch (e) { console.error('signal observer error:', e); }
+  });
+}
+
+function _write(node, next) {
+  if (Object.is(node.value, next)) return;
+  node.value = next;
+  _notify(node);
+}
+
+/**
+ * Creates an observer record that can be passed to `track`.
+ *
+ * @param {Function} notify - Called whenever one of the signals read during the last `track` call changes.
+ * @returns {{ sources: Set<Object>, notify: Function }} The observer record.
+ */
+export function createObserver(notify) {
+  return { sources: new Set(), notify };
+}
+
+/**
+ * Runs `fn` with `observer` as the active dependency collector. Dependencies from the
+ * previous run are dropped first, so only signals read during this run are tracked.
+ *
+ * @param {Object} observer - An observer created with `createObserver`.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The return value of `fn`.
+ */
+export function track(observer, fn) {
+  _unlinkAll(observer);
+  const prev = _activeObserver;
+  _activeObserver = observer;
+  try {
+    return fn();
+  } finally {
+    _activeObserver = prev;
+  }
+}
+
+/**
+ * Unsubscribes an observer from every signal it currently depends on.
+ *
+ * @param {Object} observer - An observer created with `createObserver`.
+ */
+export function dispose(observer) {
+  if (observer) _unlinkAll(observer);
+}
+
+/**
+ * Runs `fn` without tracking any signal reads it makes.
+ *
+ * @param {Function} fn - The function to run.
+ * @returns {*} The return value of `fn`.
+ */
+export function untrack(fn) {
+  const prev = _activeObserver;
+  _activeObserver = null;
+  try {
+    return fn();
+  } finally {
+    _activeObserver = prev;
+  }
+}
+
+/**
+ * Creates a writable reactive value. Reading `.value` inside a component template,
+ * `computed` or `effect` subscribes the reader; writing a different value notifies them.
+ *
+ * @param {*} initialValue - The initial value.
+ * @returns {Object} A signal with:
+ *
+ * - `value`: Getter/setter for the current value. Reads are tracked.
+ * - `peek`: Returns the current value without tracking.
+ * - `set`: Accepts a value or an updater function receiving the previous value.
+ */
+export function signal(initialValue) {
+  const node = { value: initialValue, observers: new Set() };
+  return {
+    get value() { _link(node); return node.value; },
+    set value(next) { _write(node, next); },
+    peek() { return node.value; },
+    set(update) { _write(node, typeof update === 'function' ? update(node.value) : update); },
+    toString() { return String(this.value); }
+  };
+}
+
+/**
+ * Creates a read-only value derived from other signals. The getter is evaluated lazily
+ * and cached until one of the signals it read changes.
+ *
+ * @param {Function} getter - Computes the derived value.
+ * @returns {Object} A read-only signal exposing `value` and `peek()`.
+ */
+export function computed(getter) {
+  const node = { value: undefined, observers: new Set() };
+  let dirty = true;
+  const observer = createObserver(() => {
+    if (dirty) return;
+    dirty = true;
+    _notify(node);
+  });
+  const refresh = () => {
+    if (dirty) {
+      node.value = track(observer, getter);
+      dirty = false;
+    }
+    return node.value;
+  };
+  return {
+    get value() { refresh(); _link(node); return node.value; },
+    peek() { return untrack(refresh); },
+    toString() { return String(this.value); }
+  };
+}
+
+/**
+ * Runs `fn` immediately and again whenever a signal it read changes. `fn` may return
+ * a cleanup function that runs before the next execution and on dispose.
+ *
+ * @param {Function} fn - The side effect to run.
+ * @returns {Function} A function that stops the effect and runs the last cleanup.
+ */
+export function effect(fn) {
+  let cleanup = null;
+  let disposed = false;
+  let running = false;
+  const runCleanup = () => {
+    if (typeof cleanup !== 'function') return;
+    try { cleanup(); } catch (e) { console.error('effect cleanup error:', e); }
+    cleanup = null;
+  };
+  const observer = createObserver(() => run());
+  const run = () => {
+    // Skip re-entrant runs caused by the effect writing to a signal it reads
+    if (disposed || running) return;
+    running = true;
+    runCleanup();
+    try {
+      cleanup = track(observer, fn);
+    } catch (e) {
+      console.error('effect error:', e);
+    } finally {
+      running = false;
+    }
+  };
+  run();
+  return () => {
+    disposed = true;
+    _unlinkAll(observer);
+    runCleanup();
+  };
+}
+
+export default { signal, computed, effect, untrack };
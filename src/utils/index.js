@@ -1,3 +1,5 @@
+import { escapeHTML } from '../security/index.js';
+
 /**
  * A utility object providing various commonly-used functions for browser and server environments.
  */
@@ -53,23 +55,9 @@ export const utils = {
     };
   },
   
+  // Same mapping as Security.escapeHTML (one implementation); null and undefined give ''
   escapeHtml(text) {
-    if (!this.isBrowser) {
-      // Fallback simple escape for SSR
-      return String(text)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
-    }
-    // Use DOM to escape core HTML entities, then ensure quotes are encoded too
-    const div = document.createElement('div');
-    div.textContent = text;
-    let out = div.innerHTML;
-    // JSDOM/browser innerHTML does not encode quotes; normalize here
-    out = out.replace(/\"/g, '&quot;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
-    return out;
+    return escapeHTML(text == null ? '' : text);
   },
   
   formatters: {
@@ -4,6 +4,7 @@
  */
 
 import { SmoothComponent } from '../component/SmoothComponent.js';
+import { isSafeHTML } from '../security/index.js';
 import { 
   createElement, 
   createText, 
@@ -180,6 +181,7 @@ export class SmoothComponentVDOM extends SmoothComponent {
   render() {
     if (typeof document === 'undefined') return;
     if (!this.element || this.isRendering) return;
+    SmoothComponent._dequeue(this);
     
     // Register element-instance mapping
     try { 
@@ -204,13 +206,18 @@ export class SmoothComponentVDOM extends SmoothComponent {
     
     try {
       this.isRendering = true;
+      if (!this._beginUpdate()) return;
+      this._bindings = new Map();
       
-      if (this._vdomEnabled) {
-        this._renderWithVDOM();
-      } else {
-        this._renderWithoutVDOM();
-      }
+      this._track(() => {
+        if (this._vdomEnabled) {
+          this._renderWithVDOM();
+        } else {
+          this._renderWithoutVDOM();
+        }
+      });
       
+      this._applyBindings();
       this.bindEvents();
       this._processPortals();
       
@@ -220,11 +227,20 @@ export class SmoothComponentVDOM extends SmoothComponent {
         try { this.onMount(); } catch (e) { 
           if (this._shouldLogErrors()) console.error('onMount error:', e); 
         }
+      } else {
+        try { this.onUpdated(this._snapshot); } catch (e) {
+          if (this._shouldLogErrors()) console.error('onUpdated error:', e);
+        }
       }
       
       this._restoreFocus(focusInfo);
       
     } catch (error) {
+      if (error && typeof error.then === 'function') {
+        // A thrown promise means "not ready yet" rather than a failure
+        this._suspend(error);
+        return;
+      }
       if (this._shouldLogErrors()) console.error('Render error:', error);
       this._handleRenderError(error);
     } finally {
@@ -241,7 +257,8 @@ export class SmoothComponentVDOM extends SmoothComponent {
     
     if (!newVDOM) {
       // Fall back to HTML template and convert
-      const html = this.template();
+      let html = this.template();
+      if (isSafeHTML(html)) html = String(html);
       if (html == null) {
         newVDOM = createFragment([]);
       } else if (typeof html === 'string') {
@@ -269,7 +286,8 @@ export class SmoothComponentVDOM extends SmoothComponent {
    * Renders without virtual DOM (original behavior)
    */
   _renderWithoutVDOM() {
-    const html = this.template();
+    let html = this.template();
+    if (isSafeHTML(html)) html = String(html);
     const container = document.createElement('div');
     
     if (html == null) {
@@ -506,14 +524,17 @@ export class SmoothComponentVDOM extends SmoothComponent {
    * @param {Error} error - Render error
    */
   _handleRenderError(error) {
-    if (typeof this.renderError === 'function') {
-      try {
-        const errorHtml = this.renderError(error);
-        if (errorHtml) {
-          this.element.innerHTML = errorHtml;
-        }
-      } catch {}
+    // Without a local renderError, let the nearest boundary ancestor render its fallback
+    if (typeof this.renderError !== 'function') {
+      this._reportError(error, 'render');
+      return;
     }
+    try {
+      const errorHtml = this.renderError(error);
+      if (errorHtml) {
+        this.element.innerHTML = errorHtml;
+      }
+    } catch {}
   }
 
   /**
@@ -4,6 +4,8 @@
  */
 
 import { defineComponent } from '../functional/defineComponent.js';
+import { SmoothComponent } from '../component/SmoothComponent.js';
+import { isSafeHTML } from '../security/index.js';
 import { 
   createElement, 
   createText, 
@@ -54,7 +56,7 @@ export function defineComponentVDOM(setup) {
     /**
      * Enhanced template method with virtual DOM support
      */
-    template() {
+    _renderSetup() {
       this._hookIndex = 0;
       const ctx = this._buildCtx();
       
@@ -115,6 +117,7 @@ export function defineComponentVDOM(setup) {
     render() {
       if (typeof document === 'undefined') return;
       if (!this.element || this.isRendering) return;
+      SmoothComponent._dequeue(this);
       
       // Register element-instance mapping
       try { 
@@ -139,13 +142,18 @@ export function defineComponentVDOM(setup) {
       
       try {
         this.isRendering = true;
+        if (!this._beginUpdate()) return;
+        this._bindings = new Map();
         
-        if (this._vdomEnabled) {
-          this._renderWithVDOM();
-        } else {
-          this._renderWithoutVDOM();
-        }
+        this._track(() => {
+          if (this._vdomEnabled) {
+            this._renderWithVDOM();
+          } else {
+            this._renderWithoutVDOM();
+          }
+        });
         
+        this._applyBindings();
         this.bindEvents();
         this._processPortals();
         
@@ -155,11 +163,20 @@ export function defineComponentVDOM(setup) {
           try { this.onMount(); } catch (e) { 
             if (this._shouldLogErrors()) console.error('onMount error:', e); 
           }
+        } else {
+          try { this.onUpdated(this._snapshot); } catch (e) {
+            if (this._shouldLogErrors()) console.error('onUpdated error:', e);
+          }
         }
         
         this._restoreFocus(focusInfo);
         
       } catch (error) {
+        if (error && typeof error.then === 'function') {
+          // A thrown promise means "not ready yet" rather than a failure
+          this._suspend(error);
+          return;
+        }
         if (this._shouldLogErrors()) console.error('Render error:', error);
         this._handleRenderError(error);
       } finally {
@@ -173,6 +190,7 @@ export function defineComponentVDOM(setup) {
     _renderWithVDOM() {
       // Build virtual DOM from setup/template output
       let output = this.template();
+      if (isSafeHTML(output)) output = String(output);
       let newVDOM = output;
 
       // Normalize to VDOM
@@ -200,7 +218,8 @@ export function defineComponentVDOM(setup) {
      * Renders without virtual DOM (original behavior)
      */
     _renderWithoutVDOM() {
-      const html = this.template();
+      let html = this.template();
+      if (isSafeHTML(html)) html = String(html);
       const container = document.createElement('div');
       
       if (html == null) {
@@ -518,14 +537,17 @@ export function defineComponentVDOM(setup) {
      * @param {Error} error - Render error
      */
     _handleRenderError(error) {
-      if (typeof this.renderError === 'function') {
-        try {
-          const errorHtml = this.renderError(error);
-          if (errorHtml) {
-            this.element.innerHTML = errorHtml;
-          }
-        } catch {}
+      // Without a local renderError, let the nearest boundary ancestor render its fallback
+      if (typeof this.renderError !== 'function') {
+        this._reportError(error, 'render');
+        return;
       }
+      try {
+        const errorHtml = this.renderError(error);
+        if (errorHtml) {
+          this.element.innerHTML = errorHtml;
+        }
+      } catch {}
     }
 
     /**
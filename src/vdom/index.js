@@ -3,6 +3,8 @@
  * Provides efficient diffing and patching of DOM trees
  */
 
+import { enter, leave, liveChildAt, liveCount, recordPositions, playMoves, keepTransitionClasses } from '../dom/transition.js';
+
 /**
  * Creates a virtual DOM node
  * @param {string} type - Node type ('element', 'text', 'fragment')
@@ -269,6 +271,7 @@ function updateElementProps(el, oldProps, newProps) {
       });
     } else if (key === 'className' || key === 'class') {
       el.className = newValue || '';
+      keepTransitionClasses(el);
     } else if (key.startsWith('on') && typeof newValue === 'function') {
       const event = key.slice(2).toLowerCase();
       if (oldValue) el.removeEventListener(event, oldValue);
@@ -410,7 +413,8 @@ function patchChildrenKeyed(parent, oldChildren, newChildren) {
     }
   });
   
-  let lastPlacedIndex = 0;
+  // FLIP: remember where transition-enabled nodes were before patching
+  const positions = recordPositions(oldChildren.map(child => child.el).filter(Boolean));
   let i = 0;
   
   for (const newChild of newChildren) {
@@ -426,10 +430,9 @@ function patchChildrenKeyed(parent, oldChildren, newChildren) {
     if (oldRecord) {
       // Move existing node if needed
       const currentNode = oldRecord.child.el;
-      const currentIndex = Array.prototype.indexOf.call(parent.childNodes, currentNode);
-      const referenceNode = parent.childNodes[i] || null;
+      const referenceNode = liveChildAt(parent, i);
       
-      if (currentIndex !== i) {
+      if (currentNode && currentNode !== referenceNode) {
         parent.insertBefore(currentNode, referenceNode);
       }
       
@@ -438,22 +441,28 @@ function patchChildrenKeyed(parent, oldChildren, newChildren) {
       i++;
     } else {
       // New node
-      patchNode(parent, null, newChild, i);
+      const newNode = createDOMNode(newChild);
+      if (newNode) {
+        parent.insertBefore(newNode, liveChildAt(parent, i));
+        enter(newNode);
+      }
       i++;
     }
   }
   
-  // Remove remaining old nodes
+  // Remove remaining old nodes (after their leave transition, if any)
   oldMap.forEach(({ child }) => {
     if (child.el && child.el.parentNode) {
-      child.el.parentNode.removeChild(child.el);
+      leave(child.el);
     }
   });
   
   // Remove extra trailing nodes
-  while (parent.childNodes.length > newChildren.length) {
-    parent.removeChild(parent.lastChild);
+  while (liveCount(parent) > newChildren.length) {
+    leave(liveChildAt(parent, liveCount(parent) - 1));
   }
+  
+  playMoves(positions);
 }
 
 /**
@@ -1,6 +1,12 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { SmoothComponent } from '../src/component/SmoothComponent.js';
+import { ErrorBoundary } from '../src/component/ErrorBoundary.js';
+import { defineComponent } from '../src/functional/defineComponent.js';
+import { memo } from '../src/component/memo.js';
+import { SmoothComponentVDOM } from '../src/vdom/SmoothComponentVDOM.js';
+import { VModal, VTabs } from '../src/design-system/components.js';
 import { utils } from '../src/utils/index.js';
+import { unsafeHTML, sanitizeHTML } from '../src/security/index.js';
 
 class SimpleComp extends SmoothComponent {
   constructor() { super(null, { n: 0, crash: false, text: '' }); }
@@ -316,6 +322,67 @@ describe('SmoothComponent', () => {
       LifecycleComp.prototype.onCreate = originalOnCreate;
       LifecycleComp.prototype.onMount = originalOnMount;
     });
+
+    it('skips re-renders when shouldUpdate returns false', async () => {
+      const seen = [];
+      class Gate extends SmoothComponent {
+        constructor() { super(null, { n: 0, noise: 0 }); }
+        shouldUpdate(prevState) {
+          seen.push(prevState.n);
+          return prevState.n !== this.state.n;
+        }
+        template() { return this.html`<b>${this.state.n}/${this.state.noise}</b>`; }
+      }
+      const c = new Gate().mount(host);
+
+      c.setState({ noise: 1 });
+      await Promise.resolve();
+      expect(host.textContent).toBe('0/0');
+
+      c.setState({ n: 1 });
+      await Promise.resolve();
+      expect(host.textContent).toBe('1/1');
+      expect(seen).toEqual([0, 0]);
+
+      c.setState({ noise: 2 });
+      c.forceUpdate();
+      expect(host.textContent).toBe('1/2');
+    });
+
+    it('compares shouldUpdate against the last rendered state, not the last skipped one', async () => {
+      class Threshold extends SmoothComponent {
+        constructor() { super(null, { n: 0 }); }
+        shouldUpdate(prevState) { return Math.abs(this.state.n - prevState.n) > 100; }
+        template() { return this.html`<b>${this.state.n}</b>`; }
+      }
+      const c = new Threshold().mount(host);
+      for (let n = 30; n <= 120; n += 30) {
+        c.setState({ n });
+        await Promise.resolve();
+      }
+      expect(host.textContent).toBe('120');
+    });
+
+    it('passes the beforeUpdate snapshot to onUpdated after patching', async () => {
+      const calls = [];
+      class Log extends SmoothComponent {
+        constructor() { super(null, { items: ['a'] }); }
+        beforeUpdate() {
+          calls.push('before');
+          return this.findAll('li').length;
+        }
+        onUpdated(prevCount) {
+          calls.push(`updated:${prevCount}->${this.findAll('li').length}`);
+        }
+        template() { return this.html`<ul>${this.state.items.map(i => `<li>${i}</li>`).join('')}</ul>`; }
+      }
+      const c = new Log().mount(host);
+      expect(calls).toEqual([]);
+
+      c.setState({ items: ['a', 'b', 'c'] });
+      await Promise.resolve();
+      expect(calls).toEqual(['before', 'updated:1->3']);
+    });
   });
 
   describe('Event Handling', () => {
@@ -586,6 +653,127 @@ describe('SmoothComponent', () => {
     });
   });
 
+  describe('Auto-escaping templates', () => {
+    class Safe extends SmoothComponent {
+      static autoEscape = true;
+      template() {
+        return this.html`<p title="${this.props.title}">${this.props.text}</p><ul>${(this.props.items || []).map(i => this.html`<li>${i}</li>`)}</ul>${this.props.raw}`;
+      }
+    }
+
+    it('escapes interpolated values and joins arrays without commas', () => {
+      const c = new Safe();
+      const out = String(c.html`<b>${'<i>x</i>'}</b>${['a', '&', 'b']}${false}${null}`);
+      expect(out).toBe('<b>&lt;i&gt;x&lt;/i&gt;</b>a&amp;b');
+    });
+
+    it('renders user data as text and trusts nested html results', () => {
+      const c = new Safe(null, {}, { title: '"><script>', text: '<img src=x onerror=alert(1)>', items: ['<a>', 'b'] });
+      c.mount(host);
+      expect(host.querySelector('img')).toBeFalsy();
+      expect(host.querySelector('p').textContent).toBe('<img src=x onerror=alert(1)>');
+      expect(host.querySelector('p').getAttribute('title')).toBe('"><script>');
+      expect(Array.from(host.querySelectorAll('li')).map(li => li.textContent)).toEqual(['<a>', 'b']);
+    });
+
+    it('inserts markup only through unsafeHTML or sanitizeHTML', () => {
+      const c = new Safe(null, {}, { raw: unsafeHTML('<hr class="sep">') });
+      c.mount(host);
+      expect(host.querySelector('hr.sep')).toBeTruthy();
+
+      c.setProps({ raw: sanitizeHTML('<em onclick="alert(1)">hi</em>') });
+      c.render();
+      const em = host.querySelector('em');
+      expect(em.textContent).toBe('hi');
+      expect(em.hasAttribute('onclick')).toBe(false);
+    });
+
+    it('keeps children and slot content as markup', () => {
+      class Card extends SmoothComponent {
+        static autoEscape = true;
+        template() { return this.html`<section>${this.slot('header')}${this.renderChildren()}</section>`; }
+      }
+      new Card().mount(host, { slots: { header: '<h2>T</h2>' }, children: ['<p>body</p>'] });
+      expect(host.querySelector('section').innerHTML).toBe('<h2>T</h2><p>body</p>');
+    });
+
+    it('leaves the default html() behavior unchanged', () => {
+      const c = new SimpleComp();
+      expect(c.html`${'<b>'}${['a', 'b']}`).toBe('<b>a,b');
+    });
+  });
+
+  describe('Template Bindings', () => {
+    it('assigns .prop bindings as DOM properties, including non-string values', () => {
+      const items = [{ id: 1 }];
+      class Comp extends SmoothComponent {
+        template() { return this.html`<div class="list" .items=${items} .hidden=${false}></div><input .value="${'typed'}">`; }
+      }
+      new Comp().mount(host);
+      const div = host.querySelector('.list');
+      expect(div.items).toBe(items);
+      expect(div.hasAttribute('.items')).toBe(false);
+      expect(host.querySelector('input').value).toBe('typed');
+    });
+
+    it('wires @event bindings and swaps handlers across renders without duplicating listeners', async () => {
+      const calls = [];
+      class Counter extends SmoothComponent {
+        constructor() { super(null, { n: 0 }); }
+        template() {
+          const n = this.state.n;
+          return this.html`<button @click=${() => { calls.push(n); this.setState({ n: n + 1 }); }} .title=${`n=${n}`}>${n}</button>`;
+        }
+      }
+      new Counter().mount(host);
+      const btn = host.querySelector('button');
+      btn.click();
+      await Promise.resolve();
+      btn.click();
+      await Promise.resolve();
+
+      expect(calls).toEqual([0, 1]);
+      expect(btn.textContent).toBe('2');
+      expect(btn.title).toBe('n=2');
+    });
+
+    it('removes event bindings that disappear from the template', async () => {
+      const handler = vi.fn();
+      class Toggle extends SmoothComponent {
+        constructor() { super(null, { on: true }); }
+        template() {
+          return this.state.on
+            ? this.html`<button @click=${handler}>x</button>`
+            : this.html`<button>x</button>`;
+        }
+      }
+      const c = new Toggle().mount(host);
+      const btn = host.querySelector('button');
+      c.setState({ on: false });
+      await Promise.resolve();
+      expect(host.querySelector('button')).toBe(btn);
+      btn.click();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('keeps bindings of parent and child components apart', () => {
+      const parentClick = vi.fn();
+      const childClick = vi.fn();
+      class Inner extends SmoothComponent {
+        template() { return this.html`<i @click=${childClick}>in</i>`; }
+      }
+      class Outer extends SmoothComponent {
+        template() { return this.html`<b @click=${parentClick}>out</b>${this.child(Inner, {}, 'inner')}`; }
+      }
+      new Outer().mount(host);
+      host.querySelector('i').click();
+      expect(childClick).toHaveBeenCalledTimes(1);
+      expect(parentClick).not.toHaveBeenCalled();
+      host.querySelector('b').click();
+      expect(parentClick).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('Error Handling', () => {
     it('handles template errors gracefully', async () => {
       class ErrorComp extends SmoothComponent {
@@ -766,4 +954,432 @@ describe('SmoothComponent', () => {
       expect(host.querySelector('[data-testid="version"]').textContent).toBe('1.0.0');
     });
   });
+
+  describe('Child Components', () => {
+    class Item extends SmoothComponent {
+      constructor(el, state, props) { super(el, { clicks: 0 }, props); }
+      onCreate() { this.on('click', 'button', () => this.setState({ clicks: this.state.clicks + 1 })); }
+      template() {
+        return this.html`<button data-testid="item-${this.props.id}">${this.props.label}:${this.state.clicks}</button>`;
+      }
+    }
+
+    class ItemList extends SmoothComponent {
+      constructor() { super(null, { items: [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }] }); }
+      template() {
+        return this.html`<ul>${this.state.items.map(it => `<li>${this.child(Item, it, it.id)}</li>`).join('')}</ul>`;
+      }
+    }
+
+    it('mounts child components declared with child()', async () => {
+      const c = new ItemList();
+      c.mount(host);
+
+      expect(host.querySelector('[data-testid="item-a"]').textContent).toBe('A:0');
+      expect(host.querySelector('[data-testid="item-b"]').textContent).toBe('B:0');
+      expect(c._childMap.size).toBe(2);
+    });
+
+    it('reuses child instances by key and passes new props via setProps', async () => {
+      const c = new ItemList();
+      c.mount(host);
+      const first = c._childMap.get('a').inst;
+      host.querySelector('[data-testid="item-a"]').click();
+      await Promise.resolve();
+      expect(host.querySelector('[data-testid="item-a"]').textContent).toBe('A:1');
+
+      c.setState({ items: [{ id: 'b', label: 'B' }, { id: 'a', label: 'Alpha' }] });
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(c._childMap.get('a').inst).toBe(first);
+      const buttons = host.querySelectorAll('button');
+      expect(buttons[0].textContent).toBe('B:0');
+      expect(buttons[1].textContent).toBe('Alpha:1');
+    });
+
+    it('unmounts children removed from the template', async () => {
+      const c = new ItemList();
+      c.mount(host);
+      const removed = c._childMap.get('b').inst;
+      const spy = vi.spyOn(removed, 'onUnmount');
+
+      c.setState({ items: [{ id: 'a', label: 'A' }] });
+      await Promise.resolve();
+
+      expect(spy).toHaveBeenCalled();
+      expect(removed.isMounted).toBe(false);
+      expect(c._childMap.has('b')).toBe(false);
+      expect(host.querySelector('[data-testid="item-b"]')).toBeFalsy();
+    });
+
+    it('unmounts children when the parent unmounts', () => {
+      const c = new ItemList();
+      c.mount(host);
+      const children = Array.from(c._childMap.values()).map(r => r.inst);
+
+      c.unmount();
+
+      expect(children.every(inst => !inst.isMounted)).toBe(true);
+      expect(c._childMap.size).toBe(0);
+    });
+  });
+
+  describe('Memoized Components', () => {
+    it('skips shallowly equal setProps/setState calls on pure components', async () => {
+      let renders = 0;
+      const changes = vi.fn();
+      class Pure extends SmoothComponent {
+        static pure = true;
+        constructor() { super(null, { open: false }); }
+        onPropsChange() { changes(); }
+        template() { renders++; return this.html`<i>${this.props.label}</i>`; }
+      }
+      const c = new Pure().mount(host, { props: { label: 'a' } });
+      expect(renders).toBe(1);
+
+      c.setProps({ label: 'a' });
+      c.setState({ open: false });
+      await Promise.resolve();
+      expect(renders).toBe(1);
+      expect(changes).not.toHaveBeenCalled();
+
+      c.setProps({ label: 'b' });
+      await Promise.resolve();
+      expect(renders).toBe(2);
+      expect(host.textContent).toBe('b');
+    });
+
+    it('keeps props that areEqual ignores without re-rendering', async () => {
+      let renders = 0;
+      const changes = vi.fn();
+      class Button extends SmoothComponent {
+        onPropsChange() { changes(); }
+        template() { renders++; return this.html`<button>${this.props.label}</button>`; }
+      }
+      const Memo = memo(Button, (prev, next) => prev.label === next.label);
+      const first = vi.fn();
+      const second = vi.fn();
+      const c = new Memo().mount(host, { props: { label: 'go', onPress: first } });
+
+      c.setProps({ onPress: second });
+      await Promise.resolve();
+      expect(renders).toBe(1);
+      expect(changes).not.toHaveBeenCalled();
+      c.props.onPress();
+      expect(second).toHaveBeenCalled();
+      expect(first).not.toHaveBeenCalled();
+    });
+
+    it('memo() uses a custom areEqual and keeps the component name', async () => {
+      let renders = 0;
+      class Chart extends SmoothComponent {
+        template() { renders++; return this.html`<b>${this.props.series.join(',')}</b>`; }
+      }
+      const Memo = memo(Chart, (prev, next) => prev.series.length === next.series.length);
+      expect(Memo.name).toBe('Chart');
+      const c = new Memo().mount(host, { props: { series: [1, 2] } });
+
+      c.setProps({ series: [3, 4] });
+      await Promise.resolve();
+      expect(renders).toBe(1);
+
+      c.setProps({ series: [3, 4, 5] });
+      await Promise.resolve();
+      expect(renders).toBe(2);
+    });
+
+    it('applies pure checks and onPropsChange when a child moves to a new host', async () => {
+      const changes = [];
+      class Chart extends SmoothComponent {
+        onPropsChange(prev, next) { changes.push([prev.series.length, next.series.length]); }
+        template() { return this.html`<b>${this.props.series.join(',')}</b>`; }
+      }
+      const Memo = memo(Chart, (prev, next) => prev.series.length === next.series.length);
+      class Parent extends SmoothComponent {
+        constructor() { super(null, { tag: 'section', series: [1, 2] }); }
+        template() {
+          const { tag, series } = this.state;
+          return this.html`<${tag}>${this.child(Memo, { series }, 'chart')}</${tag}>`;
+        }
+      }
+      const p = new Parent().mount(host);
+      const chart = p._childMap.get('chart').inst;
+      const firstHost = chart.element;
+
+      p.setState({ tag: 'article', series: [3, 4] });
+      await Promise.resolve();
+      expect(chart.element).not.toBe(firstHost);
+      expect(host.querySelector('article b').textContent).toBe('3,4');
+      expect(changes).toEqual([]);
+
+      p.setState({ tag: 'section', series: [3, 4, 5] });
+      await Promise.resolve();
+      expect(host.querySelector('section b').textContent).toBe('3,4,5');
+      expect(changes).toEqual([[2, 3]]);
+    });
+
+    it('memoizes functional and VDOM components', async () => {
+      let fnRenders = 0;
+      let vdomRenders = 0;
+      const Fn = memo(defineComponent(({ html, props }) => ({ render: () => { fnRenders++; return html`<i>${props.x}</i>`; } })));
+      class V extends SmoothComponentVDOM {
+        template() { vdomRenders++; return this.html`<u>${this.props.x}</u>`; }
+      }
+      const Vm = memo(V);
+      const a = document.createElement('div');
+      const b = document.createElement('div');
+      host.append(a, b);
+      const f = new Fn().mount(a, { props: { x: 1 } });
+      const v = new Vm().mount(b, { props: { x: 1 } });
+      const [f0, v0] = [fnRenders, vdomRenders];
+
+      f.setProps({ x: 1 });
+      v.setProps({ x: 1 });
+      await Promise.resolve();
+      expect([fnRenders, vdomRenders]).toEqual([f0, v0]);
+
+      f.setProps({ x: 2 });
+      v.setProps({ x: 2 });
+      await Promise.resolve();
+      expect(a.textContent).toBe('2');
+      expect(b.textContent).toBe('2');
+    });
+  });
+
+  describe('Component Events', () => {
+    class Editor extends SmoothComponent {
+      onCreate() { this.on('click', '[data-save]', () => this.emit('save', { id: this.props.id })); }
+      template() { return this.html`<button data-save>save ${this.props.id}</button>`; }
+    }
+
+    it('emit() dispatches a bubbling smooth:<name> CustomEvent from the host element', () => {
+      const c = new Editor(null, {}, { id: 1 });
+      c.mount(host);
+      const seen = vi.fn();
+      host.addEventListener('smooth:save', (e) => seen(e.detail, e.target));
+
+      expect(c.emit('save', { id: 1 })).toBe(true);
+      expect(seen).toHaveBeenCalledWith({ id: 1 }, c.element);
+    });
+
+    it('routes on:<name> child props to parent handlers and methods', async () => {
+      const saved = [];
+      class Page extends SmoothComponent {
+        onSecond(detail) { saved.push(['method', detail.id]); }
+        template() {
+          return this.html`<div>${this.child(Editor, { id: 'a', 'on:save': (detail) => saved.push(['fn', detail.id]) }, 'a')}${this.child(Editor, { id: 'b', 'on:save': 'onSecond' }, 'b')}</div>`;
+        }
+      }
+      const p = new Page();
+      p.mount(host);
+
+      expect('on:save' in p._childMap.get('a').inst.props).toBe(false);
+      host.querySelectorAll('[data-save]')[0].click();
+      host.querySelectorAll('[data-save]')[1].click();
+      expect(saved).toEqual([['fn', 'a'], ['method', 'b']]);
+    });
+
+    it('only handles events emitted by the declared child itself', () => {
+      const heard = vi.fn();
+      class Inner extends SmoothComponent {
+        template() { return this.html`<i></i>`; }
+      }
+      class Middle extends SmoothComponent {
+        template() { return this.html`${this.child(Inner, {}, 'inner')}`; }
+      }
+      class Outer extends SmoothComponent {
+        template() { return this.html`${this.child(Middle, { 'on:ping': heard }, 'mid')}`; }
+      }
+      const o = new Outer();
+      o.mount(host);
+      const middle = o._childMap.get('mid').inst;
+      const inner = middle._childMap.get('inner').inst;
+
+      inner.emit('ping', 1);
+      expect(heard).not.toHaveBeenCalled();
+      middle.emit('ping', 2);
+      expect(heard).toHaveBeenCalledTimes(1);
+      expect(heard.mock.calls[0][0]).toBe(2);
+    });
+
+    it('supports this.on() for namespaced events with a selector', () => {
+      const heard = vi.fn();
+      class Page extends SmoothComponent {
+        onCreate() { this.on('smooth:save', '[data-smooth-child]', (e) => heard(e.detail.id)); }
+        template() { return this.html`<section>${this.child(Editor, { id: 7 }, 'ed')}</section>`; }
+      }
+      new Page().mount(host);
+      host.querySelector('[data-save]').click();
+      expect(heard).toHaveBeenCalledWith(7);
+    });
+  });
+
+  describe('Slots', () => {
+    class Panel extends SmoothComponent {
+      template() {
+        return this.html`<header>${this.slot('header', 'Untitled')}</header><main>${this.slot()}</main>${this.hasSlot('footer') ? `<footer>${this.slot('footer')}</footer>` : ''}`;
+      }
+    }
+
+    it('renders named slots from mount options with fallbacks', () => {
+      new Panel().mount(host, { slots: { default: '<p>body</p>', footer: (c) => `<b>${c.constructor.name}</b>` } });
+
+      expect(host.querySelector('header').textContent).toBe('Untitled');
+      expect(host.querySelector('main').innerHTML).toBe('<p>body</p>');
+      expect(host.querySelector('footer').innerHTML).toBe('<b>Panel</b>');
+    });
+
+    it('falls back to children for the default slot', () => {
+      new Panel().mount(host, { children: ['<i>a</i>', '<i>b</i>'] });
+      expect(host.querySelector('main').innerHTML).toBe('<i>a</i><i>b</i>');
+      expect(host.querySelector('footer')).toBeFalsy();
+    });
+
+    it('passes slot:<name> entries from child() and updates them on re-render', async () => {
+      class Page extends SmoothComponent {
+        constructor() { super(null, { title: 'One' }); }
+        template() {
+          return this.html`${this.child(Panel, { 'slot:header': `<h1>${this.state.title}</h1>`, 'slot:default': 'text' }, 'panel')}`;
+        }
+      }
+      const p = new Page();
+      p.mount(host);
+      const panel = p._childMap.get('panel').inst;
+      expect(panel.props).toEqual({});
+      expect(host.querySelector('h1').textContent).toBe('One');
+
+      p.setState({ title: 'Two' });
+      await Promise.resolve();
+      expect(host.querySelector('h1').textContent).toBe('Two');
+      expect(p._childMap.get('panel').inst).toBe(panel);
+    });
+
+    it('omits the VModal header when neither a title slot nor prop is given, even with autoEscape', () => {
+      class SafeModal extends VModal { static autoEscape = true; }
+      new SafeModal().mount(host, { props: { open: true }, slots: { default: 'Body' } });
+      expect(host.querySelector('[role="dialog"]')).toBeTruthy();
+      expect(host.querySelector('h2')).toBeFalsy();
+      expect(host.querySelector('[role="dialog"]').hasAttribute('aria-labelledby')).toBe(false);
+    });
+
+    it('names VTabs panel slots tab:<id> so a "default" tab does not take the default slot', () => {
+      new VTabs().mount(host, {
+        props: { tabs: [{ id: 'default', label: 'Main', content: 'main content' }] },
+        children: ['<i>outside</i>']
+      });
+      const panel = host.querySelector('[role="tabpanel"]');
+      expect(panel.textContent.trim()).toBe('main content');
+      host.innerHTML = '';
+      new VTabs().mount(host, {
+        props: { tabs: [{ id: 'default', label: 'Main' }] },
+        slots: { 'tab:default': '<b>slotted</b>' }
+      });
+      expect(host.querySelector('[role="tabpanel"] b').textContent).toBe('slotted');
+    });
+  });
+
+  describe('Error Boundaries', () => {
+    class Boom extends SmoothComponent {
+      template() {
+        if (this.props.crash) throw new Error('child boom');
+        return this.html`<span data-testid="ok">ok</span>`;
+      }
+    }
+
+    it('renders the nearest boundary fallback when a descendant render throws', async () => {
+      const b = new ErrorBoundary();
+      b.mount(host, { props: { component: Boom, props: { crash: true } } });
+      await Promise.resolve();
+
+      expect(host.querySelector('[data-error-boundary]').textContent).toContain('child boom');
+      expect(host.querySelector('[data-testid="ok"]')).toBeFalsy();
+      expect(b.error.message).toBe('child boom');
+    });
+
+    it('escapes the error message in the default fallback', async () => {
+      class Quote extends SmoothComponent {
+        template() { throw new Error('<img src=x> "q" \'s\''); }
+      }
+      const b = new ErrorBoundary();
+      b.mount(host, { props: { component: Quote } });
+      await Promise.resolve();
+
+      const alert = host.querySelector('[data-error-boundary]');
+      expect(alert.querySelector('img')).toBeFalsy();
+      expect(alert.innerHTML).toContain('&lt;img src=x&gt; "q"');
+      expect(b.renderError(new Error('"q"'))).toContain('&quot;q&quot;');
+    });
+
+    it('reset() retries rendering the children', async () => {
+      const b = new ErrorBoundary();
+      b.mount(host, { props: { component: Boom, props: { crash: true } } });
+      await Promise.resolve();
+
+      b.setProps({ props: { crash: false } });
+      host.querySelector('[data-boundary-reset]').click();
+      await Promise.resolve();
+
+      expect(b.error).toBe(null);
+      expect(host.querySelector('[data-testid="ok"]')).toBeTruthy();
+    });
+
+    it('catches errors from descendant event handlers and onMount', async () => {
+      class Clicky extends SmoothComponent {
+        onCreate() { this.on('click', 'button', () => { throw new Error('handler boom'); }); }
+        template() { return this.html`<button>go</button>`; }
+      }
+      class MountFail extends SmoothComponent {
+        onMount() { throw new Error('mount boom'); }
+        template() { return this.html`<p>m</p>`; }
+      }
+      class Boundary extends SmoothComponent {
+        static errorBoundary = true;
+        template() { return this.html`<section>${this.child(this.props.comp, {}, 'c')}</section>`; }
+        renderError(err) { return this.html`<p data-testid="fallback">${err.message}</p>`; }
+      }
+
+      const b = new Boundary(null, {}, { comp: Clicky });
+      b.mount(host);
+      host.querySelector('button').click();
+      expect(host.querySelector('[data-testid="fallback"]').textContent).toBe('handler boom');
+      b.unmount();
+
+      const b2 = new Boundary(null, {}, { comp: MountFail });
+      b2.mount(host);
+      await Promise.resolve();
+      expect(host.querySelector('[data-testid="fallback"]').textContent).toBe('mount boom');
+      expect(b2._caughtError.phase).toBe('mount');
+    });
+
+    it('catches errors thrown by functional useEffect', async () => {
+      const Eff = defineComponent(({ useEffect, html }) => {
+        useEffect(() => { throw new Error('effect boom'); }, []);
+        return { render: () => html`<i>fx</i>` };
+      });
+      const onError = vi.fn();
+      class Boundary extends ErrorBoundary {
+        onError(err, info) { onError(err.message, info.phase); }
+      }
+      const b = new Boundary();
+      b.mount(host, { props: { component: Eff } });
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(onError).toHaveBeenCalledWith('effect boom', 'effect');
+      expect(host.querySelector('[data-error-boundary]')).toBeTruthy();
+    });
+
+    it('keeps local renderError handling for components that define it', async () => {
+      const b = new ErrorBoundary();
+      class Local extends SimpleComp {}
+      b.mount(host, { props: { component: Local } });
+      const inst = b._childMap.get('boundary').inst;
+      inst.setState({ crash: true });
+      await Promise.resolve();
+
+      expect(host.querySelector('[data-testid="err"]').textContent).toBe('boom');
+      expect(b.error).toBe(null);
+    });
+  });
 });
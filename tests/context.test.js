@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+import { createContext } from '../src/component/context.js';
+import { defineComponent } from '../src/functional/defineComponent.js';
+import { VelvetProvider } from '../src/design-system/provider.js';
+import { VelvetComponent } from '../src/design-system/VelvetComponent.js';
+import { defaultTheme } from '../src/design-system/theme.js';
+
+const Theme = createContext('light');
+
+class Provider extends SmoothComponent {
+  constructor() { super(null, { theme: 'dark' }); }
+  template() {
+    this.provideContext(Theme, this.state.theme);
+    return this.html`<div>${this.child(this.props.consumer, {}, 'consumer')}</div>`;
+  }
+}
+
+describe('reactive context', () => {
+  let host;
+  let renders;
+
+  class Consumer extends SmoothComponent {
+    template() {
+      renders++;
+      return this.html`<p>${this.useContext(Theme)}</p>`;
+    }
+  }
+
+  beforeEach(() => {
+    renders = 0;
+    host = document.createElement('div');
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    if (host.parentNode) host.parentNode.removeChild(host);
+  });
+
+  it('re-renders consumers when the provided value changes', async () => {
+    const p = new Provider().mount(host, { props: { consumer: Consumer } });
+    expect(host.querySelector('p').textContent).toBe('dark');
+
+    p.setState({ theme: 'sepia' });
+    await Promise.resolve();
+    expect(host.querySelector('p').textContent).toBe('sepia');
+  });
+
+  it('does not re-render consumers when the value is unchanged', async () => {
+    const p = new Provider().mount(host, { props: { consumer: Consumer } });
+    const before = renders;
+
+    p.setState({ theme: 'dark' });
+    await Promise.resolve();
+    expect(renders).toBe(before);
+  });
+
+  it('notifies functional components reading the context', async () => {
+    const Fn = defineComponent(({ useContext, html }) => ({
+      render: () => html`<p>${useContext(Theme)}</p>`
+    }));
+    const p = new Provider().mount(host, { props: { consumer: Fn } });
+
+    p.setState({ theme: 'contrast' });
+    await Promise.resolve();
+    expect(host.querySelector('p').textContent).toBe('contrast');
+  });
+
+  it('drops subscriptions of unmounted consumers', async () => {
+    class Toggle extends Provider {
+      template() {
+        this.provideContext(Theme, this.state.theme);
+        return this.html`<div>${this.state.hidden ? '' : this.child(Consumer, {}, 'consumer')}</div>`;
+      }
+    }
+    const p = new Toggle().mount(host);
+    const consumer = p._childMap.get('consumer').inst;
+    p.setState({ hidden: true });
+    await Promise.resolve();
+    expect(consumer.isMounted).toBe(false);
+
+    const spy = vi.spyOn(consumer, '_enqueueRender');
+    p.setState({ theme: 'sepia' });
+    await Promise.resolve();
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('unsubscribes consumers that stop reading the context', async () => {
+    class Maybe extends SmoothComponent {
+      template() {
+        renders++;
+        return this.html`<p>${this.props.read ? this.useContext(Theme) : 'none'}</p>`;
+      }
+    }
+    class Host extends Provider {
+      template() {
+        this.provideContext(Theme, this.state.theme);
+        return this.html`<div>${this.child(Maybe, { read: !this.state.stop }, 'consumer')}</div>`;
+      }
+    }
+    const p = new Host().mount(host);
+    p.setState({ stop: true });
+    await Promise.resolve();
+    expect(host.querySelector('p').textContent).toBe('none');
+    const before = renders;
+
+    p.setState({ theme: 'sepia' });
+    await Promise.resolve();
+    expect(renders).toBe(before);
+  });
+
+  it('switches the theme of Velvet components under a VelvetProvider', async () => {
+    class Swatch extends VelvetComponent {
+      template() { return this.html`<i>${this.theme.name || 'default'}</i>`; }
+    }
+    class App extends VelvetProvider {
+      template() {
+        super.template();
+        return this.html`${this.child(Swatch, {}, 'swatch')}`;
+      }
+    }
+    const custom = { ...defaultTheme, name: 'custom' };
+    const app = new App().mount(host, { props: { theme: defaultTheme } });
+    const swatch = app._childMap.get('swatch').inst;
+    expect(swatch.theme).toBe(defaultTheme);
+
+    app.setProps({ theme: custom });
+    await Promise.resolve();
+    expect(swatch.theme).toBe(custom);
+    expect(host.querySelector('i').textContent).toBe('custom');
+  });
+
+  it('passes the VelvetProvider darkMode to Velvet components', async () => {
+    class Swatch extends VelvetComponent {
+      template() { return this.html`<i>${this.darkMode ? 'dark' : 'light'}</i>`; }
+    }
+    class App extends VelvetProvider {
+      template() {
+        super.template();
+        return this.html`${this.child(Swatch, {}, 'swatch')}`;
+      }
+    }
+    const app = new App().mount(host, { props: { darkMode: false } });
+    expect(host.querySelector('i').textContent).toBe('light');
+    expect(host.getAttribute('data-theme')).toBe('light');
+
+    app.setProps({ darkMode: true });
+    await Promise.resolve();
+    expect(host.querySelector('i').textContent).toBe('dark');
+    expect(host.getAttribute('data-theme')).toBe('dark');
+  });
+});
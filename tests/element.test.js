@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+import { defineElement } from '../src/component/element.js';
+import { defineComponent } from '../src/functional/defineComponent.js';
+
+class UserCard extends SmoothComponent {
+  template() {
+    const { userId, compact, name } = this.props;
+    return this.html`<article data-compact="${compact}"><h2>${name || ''}#${userId}</h2>${this.renderChildren()}<footer>${this.slot('footer')}</footer></article>`;
+  }
+}
+
+defineElement('x-user-card', UserCard, { observedProps: { userId: Number, compact: Boolean, name: String } });
+
+describe('defineElement', () => {
+  let host;
+
+  beforeEach(() => {
+    host = document.createElement('div');
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    if (host.parentNode) host.parentNode.removeChild(host);
+  });
+
+  it('maps attributes to typed props and light DOM to children and slots', async () => {
+    host.innerHTML = '<x-user-card user-id="42" compact name="Ada"><span slot="footer">since 2020</span><em>extra</em></x-user-card>';
+    const el = host.querySelector('x-user-card');
+    const inst = el.component;
+    expect(inst.props.userId).toBe(42);
+    expect(inst.props.compact).toBe(true);
+    expect(el.querySelector('h2').textContent).toBe('Ada#42');
+    expect(el.querySelector('article > em').textContent).toBe('extra');
+    expect(el.querySelector('footer span').textContent).toBe('since 2020');
+
+    el.setAttribute('user-id', '7');
+    el.removeAttribute('compact');
+    await Promise.resolve();
+    expect(el.querySelector('h2').textContent).toBe('Ada#7');
+    expect(el.querySelector('article').getAttribute('data-compact')).toBe('false');
+  });
+
+  it('accepts props as element properties, including ones set before upgrade', async () => {
+    const el = document.createElement('x-pre-upgrade');
+    el.name = 'early';
+    class Named extends SmoothComponent {
+      template() { return this.html`<b>${this.props.name}</b>`; }
+    }
+    defineElement('x-pre-upgrade', Named, { observedProps: ['name'] });
+    customElements.upgrade(el);
+    host.appendChild(el);
+    expect(el.querySelector('b').textContent).toBe('early');
+
+    el.name = 'later';
+    await Promise.resolve();
+    expect(el.name).toBe('later');
+    expect(el.querySelector('b').textContent).toBe('later');
+  });
+
+  it('re-dispatches prop callbacks and emitted events as DOM events', () => {
+    class Picker extends SmoothComponent {
+      onCreate() {
+        this.on('click', '.cb', () => this.props.onPick('a', 1));
+        this.on('click', '.emit', () => this.emit('pick', 'b'));
+      }
+      template() { return this.html`<button class="cb">cb</button><button class="emit">emit</button>`; }
+    }
+    defineElement('x-picker', Picker, { events: ['pick'] });
+    const el = document.createElement('x-picker');
+    host.appendChild(el);
+    const seen = vi.fn();
+    host.addEventListener('pick', (e) => seen(e.detail));
+
+    el.querySelector('.cb').click();
+    el.querySelector('.emit').click();
+    expect(seen.mock.calls).toEqual([[['a', 1]], ['b']]);
+  });
+
+  it('renders into a shadow root with Velvet styles mirrored', async () => {
+    const style = document.createElement('style');
+    style.id = 'velvet-styles';
+    style.textContent = '.velvet-a { color: red; }';
+    document.head.appendChild(style);
+    try {
+      const Badge = defineComponent(({ html, props }) => ({ render: () => html`<span class="badge">${props.label}</span>` }));
+      defineElement('x-badge', Badge, { observedProps: ['label'], shadow: true });
+      host.innerHTML = '<x-badge label="new"></x-badge>';
+      const el = host.querySelector('x-badge');
+      expect(el.querySelector('.badge')).toBeNull();
+      expect(el.shadowRoot.querySelector('.badge').textContent).toBe('new');
+      const mirrored = el.shadowRoot.querySelector('style[data-velvet]');
+      expect(mirrored.textContent).toContain('.velvet-a');
+
+      style.textContent += '.velvet-b { color: blue; }';
+      await new Promise(r => setTimeout(r, 0));
+      expect(mirrored.textContent).toContain('.velvet-b');
+    } finally {
+      style.remove();
+    }
+  });
+
+  it('unmounts when removed but keeps the component when moved', async () => {
+    host.innerHTML = '<x-user-card user-id="1"></x-user-card>';
+    const el = host.querySelector('x-user-card');
+    const inst = el.component;
+    const other = document.createElement('section');
+    host.appendChild(other);
+
+    other.appendChild(el);
+    await Promise.resolve();
+    expect(el.component).toBe(inst);
+
+    el.remove();
+    await Promise.resolve();
+    expect(el.component).toBeNull();
+    expect(inst.isMounted).toBe(false);
+  });
+});
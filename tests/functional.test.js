@@ -1,4 +1,4 @@
-import { defineComponent } from '../index.js';
+import { Component, defineComponent, createStore, createContext, SSR, useState, useEffect, useContext, useId, getCurrentInstance, Velvet } from '../index.js';
 
 describe('Functional Components (defineComponent)', () => {
   let host;
@@ -60,4 +60,384 @@ describe('Functional Components (defineComponent)', () => {
     e.unmount();
     expect(flags.cleaned).toBe(true);
   });
+
+  it('runs useLayoutEffect synchronously after each patch, before useEffect', async () => {
+    const log = [];
+    const Measure = defineComponent(({ useState, useEffect, useLayoutEffect, html, find, on }) => {
+      const [n, setN] = useState(1);
+      on('click', 'p', () => setN(v => v + 1));
+      useLayoutEffect(() => {
+        log.push(`layout:${find('p').textContent}`);
+        return () => log.push('layout-cleanup');
+      }, [n]);
+      useEffect(() => { log.push('effect'); }, [n]);
+      return { render: () => html`<p>${n}</p>` };
+    });
+
+    const m = new Measure();
+    m.mount(host);
+    expect(log).toEqual(['layout:1']);
+    await Promise.resolve();
+    expect(log).toEqual(['layout:1', 'effect']);
+
+    host.querySelector('p').click();
+    await Promise.resolve();
+    expect(log.slice(2, 4)).toEqual(['layout-cleanup', 'layout:2']);
+
+    m.unmount();
+    expect(log[log.length - 1]).toBe('layout-cleanup');
+  });
+
+  it('useReducer dispatches actions through the latest reducer', async () => {
+    const Counter = defineComponent(({ useReducer, html, on }) => {
+      const [state, dispatch] = useReducer((s, a) => (a === 'inc' ? { n: s.n + 1 } : s), 5, (n) => ({ n }));
+      on('click', '#inc', () => dispatch('inc'));
+      on('click', '#noop', () => dispatch('noop'));
+      return { render: () => html`<button id="inc"></button><button id="noop"></button><b>${state.n}</b>` };
+    });
+    const c = new Counter();
+    c.mount(host);
+    expect(host.querySelector('b').textContent).toBe('5');
+
+    host.querySelector('#inc').click();
+    await Promise.resolve();
+    expect(host.querySelector('b').textContent).toBe('6');
+
+    const render = vi.spyOn(c, 'render');
+    host.querySelector('#noop').click();
+    await Promise.resolve();
+    expect(render).not.toHaveBeenCalled();
+  });
+
+  it('useCallback keeps the same function until deps change', async () => {
+    const seen = [];
+    const Cb = defineComponent(({ useState, useCallback, html, on }) => {
+      const [n, setN] = useState(0);
+      const [dep, setDep] = useState('a');
+      seen.push(useCallback(() => dep, [dep]));
+      on('click', '#n', () => setN(v => v + 1));
+      on('click', '#dep', () => setDep('b'));
+      return { render: () => html`<button id="n"></button><button id="dep"></button>${n}` };
+    });
+    new Cb().mount(host);
+    host.querySelector('#n').click();
+    await Promise.resolve();
+    host.querySelector('#dep').click();
+    await Promise.resolve();
+    expect(seen.length).toBe(3);
+    expect(seen[1]).toBe(seen[0]);
+    expect(seen[2]).not.toBe(seen[1]);
+    expect(seen[2]()).toBe('b');
+  });
+
+  it('useId returns stable ids that match between SSR and the hydrated client', async () => {
+    const Field = defineComponent(({ useId, html, props }) => {
+      const id = useId();
+      return { render: () => html`<label for="${id}">${props.label || 'L'}</label><input id="${id}">` };
+    });
+    const markup = SSR.renderToString(Field, { containerId: 'root' });
+    host.innerHTML = markup;
+    const root = host.querySelector('#root');
+    const serverId = root.querySelector('input').id;
+    expect(serverId).toMatch(/^smooth-/);
+
+    const c = new Field();
+    c.hydrate(root);
+    c.setProps({ label: 'Name' });
+    await Promise.resolve();
+    expect(root.querySelector('label').textContent).toBe('Name');
+    expect(root.querySelector('input').id).toBe(serverId);
+    expect(root.querySelector('label').getAttribute('for')).toBe(serverId);
+  });
+
+  it('useId gives separately mounted instances distinct ids', () => {
+    const Field = defineComponent(({ useId, html }) => {
+      const id = useId();
+      return { render: () => html`<label for="${id}">L</label><input id="${id}">` };
+    });
+    const a = document.createElement('div');
+    const b = document.createElement('div');
+    host.append(a, b);
+    new Field().mount(a);
+    new Field().mount(b);
+    const idA = a.querySelector('input').id;
+    const idB = b.querySelector('input').id;
+    expect(idA).toMatch(/^smooth-/);
+    expect(idB).not.toBe(idA);
+    expect(b.querySelector('label').getAttribute('for')).toBe(idB);
+  });
+
+  it('useStore without a selector returns the whole state', async () => {
+    const store = createStore({ count: 1 });
+    const Count = defineComponent(({ useStore, html }) => {
+      const state = useStore(store);
+      return { render: () => html`<span>${state.count}</span>` };
+    });
+    new Count().mount(host);
+    expect(host.querySelector('span').textContent).toBe('1');
+    store.setState({ count: 2 });
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(host.querySelector('span').textContent).toBe('2');
+  });
+
+  it('useStore subscribes to selected store state and unsubscribes on unmount', async () => {
+    const store = createStore({ user: { name: 'Ada' }, clicks: 0 });
+    let renders = 0;
+    const Badge = defineComponent(({ useStore, html }) => {
+      const name = useStore(store, (s) => s.user.name);
+      renders++;
+      return { render: () => html`<span>${name}</span>` };
+    });
+    const b = new Badge();
+    b.mount(host);
+    expect(host.querySelector('span').textContent).toBe('Ada');
+    const before = renders;
+
+    store.setState({ clicks: 1 });
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(renders).toBe(before);
+
+    store.setState({ user: { name: 'Grace' } });
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(host.querySelector('span').textContent).toBe('Grace');
+
+    const render = vi.spyOn(b, 'render');
+    b.unmount();
+    store.setState({ user: { name: 'Linus' } });
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(render).not.toHaveBeenCalled();
+  });
+
+  it('lets custom hooks call standalone hooks without a ctx', async () => {
+    const Theme = createContext('light');
+    const log = [];
+    function useCounter(start) {
+      const [n, setN] = useState(start);
+      useEffect(() => { log.push(`effect:${n}`); }, [n]);
+      return { n, inc: () => setN(v => v + 1) };
+    }
+    let instance = null;
+    const Counter = defineComponent(({ html, on }) => {
+      const { n, inc } = useCounter(10);
+      const theme = useContext(Theme);
+      const id = useId();
+      const { vs } = Velvet.useVelvet();
+      instance = getCurrentInstance();
+      on('click', 'button', inc);
+      return { render: () => html`<button id="${id}" class="${vs({ base: { color: 'red' } })}">${theme}:${n}</button>` };
+    });
+    const c = new Counter();
+    c.mount(host);
+    expect(instance).toBe(c);
+    expect(host.querySelector('button').textContent).toBe('light:10');
+
+    host.querySelector('button').click();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(host.querySelector('button').textContent).toBe('light:11');
+    expect(log).toEqual(['effect:10', 'effect:11']);
+    expect(getCurrentInstance()).toBeNull();
+  });
+
+  it('throws a clear error when a standalone hook is called outside a component', () => {
+    expect(() => useState(0)).toThrow(/useState\(\) can only be called while a defineComponent\(\) component/);
+  });
+
+  it('useSyncExternalStore re-renders when the snapshot changes', async () => {
+    let value = 1;
+    const subs = new Set();
+    const source = {
+      subscribe: (cb) => { subs.add(cb); return () => subs.delete(cb); },
+      get: () => value
+    };
+    const View = defineComponent(({ useSyncExternalStore, html }) => {
+      const v = useSyncExternalStore(source.subscribe, source.get);
+      return { render: () => html`<i>${v}</i>` };
+    });
+    const c = new View();
+    c.mount(host);
+    value = 2;
+    subs.forEach(cb => cb());
+    await Promise.resolve();
+    expect(host.querySelector('i').textContent).toBe('2');
+
+    c.unmount();
+    expect(subs.size).toBe(0);
+  });
+
+  it('throws a descriptive error when hooks are called conditionally', async () => {
+    const Profile = defineComponent(function Profile({ useState, useMemo, useRef, html, props }) {
+      const [n] = useState(0);
+      if (props.detailed) useRef(null);
+      const label = useMemo(() => `#${n}`, [n]);
+      return { render: () => html`<p>${label}</p>` };
+    });
+    const c = new Profile(null, {}, { detailed: false });
+    c.mount(host);
+    expect(host.querySelector('p').textContent).toBe('#0');
+
+    c.setProps({ detailed: true });
+    await Promise.resolve();
+    expect(host.textContent).toContain('Hook order changed in Profile: hook #1 was useMemo on the previous render but is useRef now');
+  });
+
+  it('throws when a render calls fewer hooks than the previous one', async () => {
+    const Toggle = defineComponent(function Toggle({ useState, useEffect, html, props }) {
+      useState(0);
+      if (props.on) useEffect(() => {}, []);
+      return { render: () => html`<i>ok</i>` };
+    });
+    const c = new Toggle(null, {}, { on: true });
+    c.mount(host);
+    c.setProps({ on: false });
+    await Promise.resolve();
+    expect(host.textContent).toContain('Toggle rendered fewer hooks than during the previous render: expected 2, got 1 (hook #1 was useEffect)');
+  });
+
+  it('warns when an effect reads a changed prop that is missing from its deps', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const seen = [];
+      const Feed = defineComponent(function Feed({ useEffect, html, props }) {
+        useEffect(() => { seen.push(props.userId); }, []);
+        return { render: () => html`<b>${props.userId}</b>` };
+      });
+      const c = new Feed(null, {}, { userId: 1 });
+      c.mount(host);
+      await Promise.resolve();
+      c.setProps({ userId: 2 });
+      await Promise.resolve();
+      await Promise.resolve();
+      c.setProps({ userId: 3 });
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(seen).toEqual([1]);
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn.mock.calls[0][0]).toContain('useEffect #0 in Feed reads props.userId, which changed, but its deps did not');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('skips hook checks when __SMOOTH_DEV__ is false', async () => {
+    globalThis.__SMOOTH_DEV__ = false;
+    try {
+      const Loose = defineComponent(({ useState, useRef, html, props }) => {
+        if (props.extra) useRef(null);
+        const [n] = useState(5);
+        return { render: () => html`<p>${n}</p>` };
+      });
+      const c = new Loose(null, {}, { extra: false });
+      c.mount(host);
+      c.setProps({ extra: true });
+      await Promise.resolve();
+      expect(host.textContent).not.toContain('Component Error');
+    } finally {
+      delete globalThis.__SMOOTH_DEV__;
+    }
+  });
+
+  it('runs hook checks in browsers without a process global', () => {
+    const Loose = defineComponent(function Loose({ useState, useRef, html, props }) {
+      if (props.extra) useRef(null);
+      const [n] = useState(5);
+      return { render: () => html`<p>${n}</p>` };
+    });
+    const c = new Loose(null, {}, { extra: false });
+    c.mount(host);
+    const saved = globalThis.process;
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    globalThis.process = undefined;
+    try {
+      c.setProps({ extra: true });
+      Component.flushSync();
+    } finally {
+      globalThis.process = saved;
+      error.mockRestore();
+    }
+    expect(host.textContent).toContain('Hook order changed in Loose');
+  });
+
+  it('renders the pending template until an async setup resolves', async () => {
+    let resolve;
+    const loaded = new Promise(r => { resolve = r; });
+    const mounted = vi.fn();
+    const Profile = defineComponent(async ({ html }) => {
+      const user = await loaded;
+      return {
+        render: ({ useState, props }) => {
+          const [n] = useState(1);
+          return html`<h1>${user.name}#${props.id}:${n}</h1>`;
+        },
+        onMount: mounted
+      };
+    }, { pending: ({ html }) => html`<p class="loading">Loading...</p>` });
+    const c = new Profile(null, {}, { id: 7 });
+    c.mount(host);
+    expect(host.querySelector('.loading')).not.toBeNull();
+    expect(mounted).not.toHaveBeenCalled();
+
+    resolve({ name: 'Ada' });
+    await new Promise(r => setTimeout(r, 0));
+    expect(host.querySelector('.loading')).toBeNull();
+    expect(host.querySelector('h1').textContent).toBe('Ada#7:1');
+    expect(mounted).toHaveBeenCalledTimes(1);
+
+    c.setProps({ id: 8 });
+    await Promise.resolve();
+    expect(host.querySelector('h1').textContent).toBe('Ada#8:1');
+  });
+
+  it('renders the error template when an async setup rejects', async () => {
+    const Broken = defineComponent(async () => {
+      throw new Error('offline');
+    }, { error: (err, { html }) => html`<p class="err">${err.message}</p>` });
+    new Broken().mount(host);
+    await new Promise(r => setTimeout(r, 0));
+    expect(host.querySelector('.err').textContent).toBe('offline');
+  });
+
+  it('rejects hooks called in an async setup', () => {
+    const Eager = defineComponent(async ({ useState, html }) => {
+      useState(0);
+      return { render: () => html`<p></p>` };
+    });
+    new Eager().mount(host);
+    expect(host.textContent).toContain('called hooks in its async setup');
+  });
+
+  it('awaits async setups in SSR.renderToStringAsync', async () => {
+    const Page = defineComponent(async ({ html }) => {
+      const items = await Promise.resolve(['a', 'b']);
+      return { render: ({ props }) => html`<ul>${items.map(i => `<li>${i}${props.suffix}</li>`).join('')}</ul>` };
+    }, { pending: '<p>Loading</p>' });
+    expect(SSR.renderToString(Page, { props: { suffix: '!' } })).toBe('<p>Loading</p>');
+    const out = await SSR.renderToStringAsync(Page, { props: { suffix: '!' }, containerId: 'root' });
+    expect(out).toBe('<div id="root"><ul><li>a!</li><li>b!</li></ul></div>');
+  });
+
+  it('rejects SSR.renderToStringAsync when data keeps suspending', async () => {
+    let passes = 0;
+    const Never = defineComponent(() => ({
+      render: () => {
+        passes++;
+        throw Promise.resolve();
+      }
+    }));
+    await expect(SSR.renderToStringAsync(Never)).rejects.toThrow('SSR: suspended data did not resolve after 10 passes');
+    expect(passes).toBe(11);
+  });
+
+  it('renders empty output in SSR.renderToString for an async setup without pending', async () => {
+    const Page = defineComponent(async ({ html }) => {
+      await Promise.resolve();
+      return { render: () => html`<p>ready</p>` };
+    });
+    expect(SSR.renderToString(Page, { containerId: 'root' })).toBe('<div id="root"></div>');
+    expect(await SSR.renderToStringAsync(Page)).toBe('<p>ready</p>');
+  });
 });
@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import { SmoothRouter as Router } from '../src/router/SmoothRouter.js';
 import { SmoothComponent } from '../src/component/SmoothComponent.js';
 
@@ -50,4 +50,111 @@ describe('Router guards and active link', () => {
 
     expect(a.classList.contains('is-active')).toBe(true);
   });
+
+  it('runs beforeEnter and redirects with replace', async () => {
+    const root = document.createElement('div');
+    root.id = 'enter-root';
+    document.body.appendChild(root);
+    let allowed = false;
+    const router = new Router({ mode: 'hash', root: '#enter-root' });
+    router
+      .route('/login', Login)
+      .route('/private', { component: Private, beforeEnter: (to) => (allowed ? true : { path: '/login', query: { next: to.path } }) });
+
+    await router.navigate('/private');
+    expect(router.currentPath).toBe('/login');
+    expect(router.currentQuery).toEqual({ next: '/private' });
+    expect(root.querySelector('[data-testid="login"]')).not.toBeNull();
+
+    allowed = true;
+    await router.navigate('/private');
+    expect(root.querySelector('[data-testid="private"]')).not.toBeNull();
+    router.destroy();
+  });
+
+  it('lets beforeLeave block navigation away from a dirty form', async () => {
+    class Editor extends Private {
+      constructor(...args) { super(...args); this.dirty = true; }
+    }
+    const root = document.createElement('div');
+    root.id = 'leave-root';
+    document.body.appendChild(root);
+    const confirm = vi.fn(() => false);
+    const router = new Router({ mode: 'hash', root: '#leave-root' });
+    router
+      .route('/edit', { component: Editor, beforeLeave: (to, from, editor) => !editor.dirty || confirm(`Leave for ${to.path}?`) })
+      .route('/login', Login);
+
+    await router.navigate('/edit');
+    await router.navigate('/login');
+    expect(confirm).toHaveBeenCalledWith('Leave for /login?');
+    expect(router.currentPath).toBe('/edit');
+    expect(root.querySelector('[data-testid="private"]')).not.toBeNull();
+
+    confirm.mockReturnValue(true);
+    await router.navigate('/login');
+    expect(router.currentPath).toBe('/login');
+    router.destroy();
+  });
+
+  it('runs resolvers in parallel and passes their results as props', async () => {
+    class Profile extends Private {
+      template() { return this.html`<div data-testid="profile">${this.props.user.name}:${this.props.posts.length}</div>`; }
+    }
+    const root = document.createElement('div');
+    root.id = 'resolve-root';
+    document.body.appendChild(root);
+    const started = [];
+    const load = (name, value) => (to) => {
+      started.push(name);
+      return new Promise(r => setTimeout(() => r(value(to)), 5));
+    };
+    const router = new Router({ mode: 'hash', root: '#resolve-root' });
+    router.route('/users/:id', {
+      component: Profile,
+      resolve: {
+        user: load('user', (to) => ({ name: `user${to.params.id}` })),
+        posts: load('posts', () => [1, 2])
+      }
+    });
+
+    await new Promise(r => setTimeout(r, 0)); // let hashchange events from earlier tests pass
+    const pending = router.navigate('/users/3');
+    await Promise.resolve();
+    expect(started).toEqual(['user', 'posts']);
+    await pending;
+    expect(root.querySelector('[data-testid="profile"]').textContent).toBe('user3:2');
+
+    // A kept route with new params resolves again and gets the data through setProps
+    await router.navigate('/users/4');
+    await new Promise(r => setTimeout(r, 0));
+    expect(root.querySelector('[data-testid="profile"]').textContent).toBe('user4:2');
+    router.destroy();
+  });
+
+  it('routes guard and resolver errors to errorComponent and calls afterEach', async () => {
+    class Failure extends Login {
+      template() { return this.html`<div data-testid="error">${this.props.error.message}</div>`; }
+    }
+    const root = document.createElement('div');
+    root.id = 'error-root';
+    document.body.appendChild(root);
+    const afterEach = vi.fn();
+    const router = new Router({ mode: 'hash', root: '#error-root', errorComponent: Failure, afterEach });
+    router
+      .route('/login', Login)
+      .route('/broken', { component: Private, resolve: { data: () => Promise.reject(new Error('load failed')) } });
+
+    await router.navigate('/login');
+    expect(afterEach).toHaveBeenLastCalledWith(expect.objectContaining({ path: '/login' }), null, undefined);
+
+    await router.navigate('/broken');
+    expect(root.querySelector('[data-testid="error"]').textContent).toBe('load failed');
+    expect(router.currentPath).toBe('/broken');
+    const [to, from, error] = afterEach.mock.calls[1];
+    expect(to.path).toBe('/broken');
+    expect(from.path).toBe('/login');
+    expect(error.message).toBe('load failed');
+    router.destroy();
+  });
 });
@@ -0,0 +1,94 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SmoothRouter as Router } from '../src/router/SmoothRouter.js';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+
+const tick = () => new Promise(r => setTimeout(r, 5));
+
+class Shell extends SmoothComponent {
+  template() {
+    return this.html`<div data-testid="shell"><nav>${this.props.params?.id || '-'}</nav><main data-router-outlet></main><aside data-router-outlet="sidebar"></aside></div>`;
+  }
+}
+class Overview extends SmoothComponent {
+  template() { return this.html`<p data-testid="overview">Overview ${this.props.params?.id}</p>`; }
+}
+class Settings extends SmoothComponent {
+  template() { return this.html`<p data-testid="settings">Settings</p>`; }
+}
+class OverviewHelp extends SmoothComponent {
+  template() { return this.html`<p data-testid="help">Help for ${this.props.params?.id}</p>`; }
+}
+
+function setup(id) {
+  const root = document.createElement('div');
+  root.id = id;
+  document.body.appendChild(root);
+  const router = new Router({ mode: 'hash', root: `#${id}` });
+  router.route('/projects/:id', {
+    component: Shell,
+    children: [
+      { path: 'overview', components: { default: Overview, sidebar: OverviewHelp } },
+      { path: 'settings', component: Settings }
+    ]
+  });
+  return { root, router };
+}
+
+describe('Router layouts and named outlets', () => {
+  it('keeps layouts mounted across sibling navigations and remounts only the leaf', async () => {
+    const { root, router } = setup('layout-root');
+    const unmounts = vi.spyOn(Shell.prototype, 'onUnmount');
+
+    await router.navigate('/projects/1/overview');
+    await tick();
+    const shell = router._mountedChain[1].views.default.inst;
+    expect(root.querySelector('main [data-testid="overview"]').textContent).toBe('Overview 1');
+    expect(root.querySelector('aside [data-testid="help"]').textContent).toBe('Help for 1');
+
+    await router.navigate('/projects/1/settings');
+    await tick();
+    expect(router._mountedChain[1].views.default.inst).toBe(shell);
+    expect(root.querySelector('main [data-testid="settings"]')).not.toBeNull();
+    expect(root.querySelector('[data-testid="overview"]')).toBeNull();
+    expect(root.querySelector('aside').innerHTML).toBe('');
+    expect(unmounts).not.toHaveBeenCalled();
+
+    router.destroy();
+    expect(unmounts).toHaveBeenCalledTimes(1);
+    unmounts.mockRestore();
+  });
+
+  it('delivers new params to persisted layouts with setProps without wiping their outlets', async () => {
+    const { root, router } = setup('params-root');
+    await router.navigate('/projects/1/overview');
+    await tick();
+    const shell = router._mountedChain[1].views.default.inst;
+    const overview = router._mountedChain[2].views.default.inst;
+
+    await router.navigate('/projects/2/overview');
+    await tick();
+    expect(router._mountedChain[1].views.default.inst).toBe(shell);
+    expect(router._mountedChain[2].views.default.inst).toBe(overview);
+    expect(root.querySelector('nav').textContent).toBe('2');
+    expect(root.querySelector('[data-testid="overview"]').textContent).toBe('Overview 2');
+    expect(root.querySelector('[data-testid="help"]').textContent).toBe('Help for 2');
+    router.destroy();
+  });
+
+  it('finds top-level named outlets in the document', async () => {
+    const root = document.createElement('div');
+    root.id = 'top-root';
+    const aside = document.createElement('aside');
+    aside.setAttribute('data-router-outlet', 'sidebar');
+    document.body.append(root, aside);
+    const router = new Router({ mode: 'hash', root: '#top-root' });
+    router.route('/help', { components: { default: Settings, sidebar: OverviewHelp } });
+
+    await router.navigate('/help');
+    await tick();
+    expect(root.querySelector('[data-testid="settings"]')).not.toBeNull();
+    expect(aside.querySelector('[data-testid="help"]')).not.toBeNull();
+    router.destroy();
+    expect(aside.innerHTML).toBe('');
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { SmoothRouter as Router } from '../src/router/SmoothRouter.js';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+
+class User extends SmoothComponent {
+  template() { return this.html`<p data-testid="user">${this.props.params.id}|${this.props.query.tab || ''}</p>`; }
+}
+const View = class {};
+
+function setup(root = '#app') {
+  const router = new Router({ mode: 'hash', root });
+  router
+    .route('/users/:id', { name: 'user', component: User })
+    .route('/posts/:id(\\d+)/:slug?', { name: 'post', component: View })
+    .route('/files/:path+', { name: 'file', component: View })
+    .route('/docs/*', { name: 'docs', component: View })
+    .route('/teams/:team', {
+      component: View,
+      children: [{ path: 'settings', name: 'team-settings', component: View }]
+    });
+  return router;
+}
+
+describe('Router named routes', () => {
+  it('resolves names to URLs with encoded params, query and hash', () => {
+    const router = setup();
+    expect(router.resolve({ name: 'user', params: { id: 'ada lovelace' }, query: { tab: 'posts' }, hash: 'top' }))
+      .toBe('/users/ada%20lovelace?tab=posts#top');
+    expect(router.resolve({ name: 'post', params: { id: 7 } })).toBe('/posts/7');
+    expect(router.resolve({ name: 'post', params: { id: 7, slug: 'hello' } })).toBe('/posts/7/hello');
+    expect(router.resolve({ name: 'file', params: { path: ['a', 'b c'] } })).toBe('/files/a/b%20c');
+    expect(router.resolve({ name: 'docs', params: { '*': 'guide/intro' } })).toBe('/docs/guide/intro');
+    expect(router.resolve({ name: 'team-settings', params: { team: 'red' } })).toBe('/teams/red/settings');
+    router.destroy();
+  });
+
+  it('throws for unknown names, missing params and constraint mismatches', () => {
+    const router = setup();
+    expect(() => router.resolve({ name: 'nope' })).toThrow('Router: no route named "nope"');
+    expect(() => router.resolve({ name: 'user' })).toThrow('Router: missing required param "id" for route "user"');
+    expect(() => router.resolve({ name: 'file', params: { path: [] } })).toThrow('missing required param "path"');
+    expect(() => router.resolve({ name: 'post', params: { id: 'x' } })).toThrow('param "id" of route "post" does not match');
+    expect(() => router.route('/other', { name: 'user', component: View })).toThrow('duplicate route name "user"');
+    router.destroy();
+  });
+
+  it('navigates to named routes and builds links from them', async () => {
+    const root = document.createElement('div');
+    root.id = 'named-root';
+    document.body.appendChild(root);
+    const router = setup('#named-root');
+
+    await router.navigate({ name: 'user', params: { id: 'a/b' }, query: { tab: 'likes' } });
+    expect(router.currentPath).toBe('/users/a%2Fb');
+    expect(root.querySelector('[data-testid="user"]').textContent).toBe('a/b|likes');
+
+    const link = router.link({ name: 'user', params: { id: 'a/b' } }, 'Me');
+    expect(link).toContain('href="#/users/a%2Fb"');
+    expect(link).toContain('class="active"');
+    router.destroy();
+  });
+});
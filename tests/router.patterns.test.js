@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { SmoothRouter as Router } from '../src/router/SmoothRouter.js';
+
+const View = class {};
+const matchOf = (router, path) => {
+  const found = router._find(path);
+  return found ? { segments: found.levels.map(l => l.node.segment), params: found.params } : null;
+};
+
+describe('Router path patterns', () => {
+  it('prefers static segments and falls back to params by backtracking', () => {
+    const router = new Router({ mode: 'hash' });
+    router
+      .route('/users', View)
+      .route('/users/new', View)
+      .route('/users/:id', View)
+      .route('/users/:id/edit', View);
+
+    expect(matchOf(router, '/users/new')).toEqual({ segments: ['users', 'new'], params: {} });
+    expect(matchOf(router, '/users/42')).toEqual({ segments: ['users', ':id'], params: { id: '42' } });
+    // 'new' has no edit child, so the match backtracks to :id
+    expect(matchOf(router, '/users/new/edit')).toEqual({ segments: ['users', ':id', 'edit'], params: { id: 'new' } });
+    expect(matchOf(router, '/users/')).toEqual({ segments: ['users'], params: {} });
+    expect(matchOf(router, '/users/1/nope')).toBe(null);
+    router.destroy();
+  });
+
+  it('supports optional and regex-constrained params', () => {
+    const router = new Router({ mode: 'hash' });
+    router
+      .route('/posts/:id(\\d+)', View)
+      .route('/posts/:slug', View)
+      .route('/archive/:year?', View);
+
+    expect(matchOf(router, '/posts/12')).toEqual({ segments: ['posts', ':id(\\d+)'], params: { id: '12' } });
+    expect(matchOf(router, '/posts/hello')).toEqual({ segments: ['posts', ':slug'], params: { slug: 'hello' } });
+    expect(matchOf(router, '/archive/2024')).toEqual({ segments: ['archive', ':year?'], params: { year: '2024' } });
+    expect(matchOf(router, '/archive')).toEqual({ segments: ['archive', ':year?'], params: {} });
+    router.destroy();
+  });
+
+  it('supports repeatable params and splats', () => {
+    const router = new Router({ mode: 'hash' });
+    router
+      .route('/files/:path+/raw', View)
+      .route('/tags/:tag*', View)
+      .route('/docs/*', View)
+      .route('*rest', View);
+
+    expect(matchOf(router, '/files/a/b/c/raw')).toEqual({ segments: ['files', ':path+', 'raw'], params: { path: ['a', 'b', 'c'] } });
+    expect(matchOf(router, '/tags')).toEqual({ segments: ['tags', ':tag*'], params: { tag: [] } });
+    expect(matchOf(router, '/tags/x/y')).toEqual({ segments: ['tags', ':tag*'], params: { tag: ['x', 'y'] } });
+    expect(matchOf(router, '/docs/guide/intro')).toEqual({ segments: ['docs', '*'], params: { '*': 'guide/intro' } });
+    expect(matchOf(router, '/nowhere/else')).toEqual({ segments: ['*rest'], params: { rest: 'nowhere/else' } });
+    router.destroy();
+  });
+
+  it('ranks patterns under nested children', () => {
+    const router = new Router({ mode: 'hash' });
+    router.route('/teams/:team', {
+      component: View,
+      children: [
+        { path: 'members/invite', component: View },
+        { path: 'members/:member(\\d+)', component: View },
+        { path: 'members/:name', component: View }
+      ]
+    });
+    expect(matchOf(router, '/teams/red/members/invite')).toEqual({ segments: ['teams', ':team', 'members', 'invite'], params: { team: 'red' } });
+    expect(matchOf(router, '/teams/red/members/7')).toEqual({ segments: ['teams', ':team', 'members', ':member(\\d+)'], params: { team: 'red', member: '7' } });
+    expect(matchOf(router, '/teams/red/members/ann')).toEqual({ segments: ['teams', ':team', 'members', ':name'], params: { team: 'red', name: 'ann' } });
+    router.destroy();
+  });
+});
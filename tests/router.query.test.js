@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SmoothRouter as Router } from '../src/router/SmoothRouter.js';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+
+const tick = () => new Promise(r => setTimeout(r, 5));
+
+class List extends SmoothComponent {
+  template() {
+    const { params = {}, query = {}, hash = '' } = this.props;
+    return this.html`<p data-testid="list">${params.team}|${query.page || 1}|${[].concat(query.tag || []).join(',')}|${hash}</p>`;
+  }
+}
+
+function setup(id) {
+  const root = document.createElement('div');
+  root.id = id;
+  document.body.appendChild(root);
+  const router = new Router({ mode: 'hash', root: `#${id}` });
+  router.route('/teams/:team', List);
+  return { root, router };
+}
+
+describe('Router query strings and hashes', () => {
+  it('matches paths with a query string and passes query and hash as props', async () => {
+    const { root, router } = setup('query-root');
+    await router.navigate('/teams/red?page=2&tag=a&tag=b#members');
+    await tick();
+    expect(router.currentPath).toBe('/teams/red');
+    expect(router.currentQuery).toEqual({ page: '2', tag: ['a', 'b'] });
+    expect(root.querySelector('[data-testid="list"]').textContent).toBe('red|2|a,b|members');
+    expect(window.location.hash).toBe('#/teams/red?page=2&tag=a&tag=b#members');
+    router.destroy();
+  });
+
+  it('accepts { path, query, hash } targets', async () => {
+    const { root, router } = setup('object-root');
+    await router.navigate({ path: '/teams/blue', query: { page: 3, skip: null }, hash: 'top' });
+    await tick();
+    expect(router.currentQuery).toEqual({ page: '3' });
+    expect(root.querySelector('[data-testid="list"]').textContent).toBe('blue|3||top');
+    router.destroy();
+  });
+
+  it('setQuery updates the URL and props without remounting and notifies onChange', async () => {
+    const { root, router } = setup('setquery-root');
+    await router.navigate('/teams/green?page=1');
+    await tick();
+    const inst = router._mountedChain[1].views.default.inst;
+    const changes = vi.fn();
+    router.onChange(changes);
+
+    router.setQuery({ page: 4, tag: 'x' });
+    await tick();
+    expect(router._mountedChain[1].views.default.inst).toBe(inst);
+    expect(root.querySelector('[data-testid="list"]').textContent).toBe('green|4|x|');
+    expect(window.location.hash).toBe('#/teams/green?page=4&tag=x');
+    expect(changes).toHaveBeenCalledTimes(1);
+    expect(changes).toHaveBeenCalledWith('/teams/green', { path: '/teams/green', query: { page: '4', tag: 'x' }, hash: '' });
+
+    router.setQuery(() => ({}));
+    await tick();
+    expect(router.currentQuery).toEqual({});
+    expect(root.querySelector('[data-testid="list"]').textContent).toBe('green|1||');
+    expect(changes).toHaveBeenCalledTimes(2);
+    router.destroy();
+  });
+});
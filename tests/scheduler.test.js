@@ -0,0 +1,238 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+import { Testing } from '../index.js';
+
+const renders = [];
+
+class Counter extends SmoothComponent {
+  constructor(name) { super(null, { n: 0 }); this.name = name; }
+  template() {
+    renders.push(this.name);
+    return this.html`<span>${this.state.n}</span>`;
+  }
+}
+
+describe('render scheduler priorities', () => {
+  let host;
+
+  beforeEach(() => {
+    renders.length = 0;
+    host = document.createElement('div');
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    if (host.parentNode) host.parentNode.removeChild(host);
+  });
+
+  const mount = (name) => {
+    const el = document.createElement('div');
+    host.appendChild(el);
+    return new Counter(name).mount(el);
+  };
+
+  it('defers startTransition updates past the microtask flush', async () => {
+    const c = mount('c');
+    renders.length = 0;
+
+    SmoothComponent.startTransition(() => c.setState({ n: 1 }));
+    await Promise.resolve();
+    expect(c.element.textContent).toBe('0');
+
+    await Testing.waitFor(() => c.element.textContent === '1', { timeout: 500 });
+    expect(renders).toEqual(['c']);
+  });
+
+  it('renders user-blocking updates before normal ones', async () => {
+    const a = mount('a');
+    const b = mount('b');
+    renders.length = 0;
+
+    a.setState({ n: 1 });
+    SmoothComponent.runWithPriority('user-blocking', () => b.setState({ n: 1 }));
+    await Promise.resolve();
+
+    expect(renders).toEqual(['b', 'a']);
+  });
+
+  it('promotes an idle update when an urgent one arrives for the same component', async () => {
+    const c = mount('c');
+    renders.length = 0;
+
+    SmoothComponent.startTransition(() => c.setState({ n: 1 }));
+    c.setState({ n: 2 });
+    await Promise.resolve();
+    expect(c.element.textContent).toBe('2');
+
+    await Testing.wait(30);
+    expect(renders).toEqual(['c']);
+  });
+
+  it('gives discrete event handlers user-blocking priority', async () => {
+    const other = mount('other');
+    class Button extends SmoothComponent {
+      constructor() { super(null, { n: 0 }); }
+      onCreate() { this.on('click', 'button', () => this.setState({ n: this.state.n + 1 })); }
+      template() {
+        renders.push('button');
+        return this.html`<button>${this.state.n}</button>`;
+      }
+    }
+    const el = document.createElement('div');
+    host.appendChild(el);
+    const btn = new Button().mount(el);
+    renders.length = 0;
+
+    other.setState({ n: 1 });
+    btn.find('button').click();
+    await Promise.resolve();
+
+    expect(renders).toEqual(['button', 'other']);
+  });
+
+  it('yields between idle renders once the deadline runs out', async () => {
+    const callbacks = [];
+    globalThis.requestIdleCallback = (cb) => { callbacks.push(cb); };
+    try {
+      const items = ['x', 'y', 'z'].map(mount);
+      renders.length = 0;
+      SmoothComponent.startTransition(() => items.forEach(c => c.setState({ n: 1 })));
+      expect(callbacks.length).toBe(1);
+
+      let budget = 1;
+      const deadline = { didTimeout: false, timeRemaining: () => (budget-- > 0 ? 1 : 0) };
+      callbacks.shift()(deadline);
+      expect(renders).toEqual(['x', 'y']);
+      expect(callbacks.length).toBe(1);
+
+      callbacks.shift()({ didTimeout: true, timeRemaining: () => 0 });
+      expect(renders).toEqual(['x', 'y', 'z']);
+      expect(items.map(c => c.element.textContent)).toEqual(['1', '1', '1']);
+    } finally {
+      delete globalThis.requestIdleCallback;
+    }
+  });
+});
+
+describe('batched flush ordering', () => {
+  let host;
+
+  beforeEach(() => {
+    renders.length = 0;
+    host = document.createElement('div');
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    if (host.parentNode) host.parentNode.removeChild(host);
+  });
+
+  class Leaf extends SmoothComponent {
+    template() {
+      renders.push('leaf');
+      return this.html`<i>${this.props.label}${this.state.mark || ''}</i>`;
+    }
+  }
+
+  class Parent extends SmoothComponent {
+    constructor() { super(null, { label: 'a' }); }
+    template() {
+      renders.push('parent');
+      return this.html`<section>${this.child(Leaf, { label: this.state.label }, 'leaf')}</section>`;
+    }
+  }
+
+  it('renders parents before children and renders each child once', async () => {
+    const p = new Parent().mount(host);
+    const leaf = p._childMap.get('leaf').inst;
+    renders.length = 0;
+
+    leaf.setState({ mark: '!' });
+    p.setState({ label: 'b' });
+    await Promise.resolve();
+
+    expect(renders).toEqual(['parent', 'leaf']);
+    expect(host.querySelector('i').textContent).toBe('b!');
+  });
+
+  it('flushSync commits queued and transition updates synchronously', () => {
+    const p = new Parent().mount(host);
+    renders.length = 0;
+
+    const out = SmoothComponent.flushSync(() => {
+      SmoothComponent.startTransition(() => p.setState({ label: 'c' }));
+      return 'done';
+    });
+
+    expect(out).toBe('done');
+    expect(host.querySelector('i').textContent).toBe('c');
+    expect(renders).toEqual(['parent', 'leaf']);
+  });
+
+  it('caps re-render passes per flush when a component keeps re-queuing itself', async () => {
+    let count = 0;
+    let looping = true;
+    class Loop extends SmoothComponent {
+      template() { return this.html`<b>${count}</b>`; }
+      render() {
+        super.render();
+        count++;
+        if (looping) this._enqueueRender();
+      }
+    }
+    const prev = SmoothComponent.maxFlushPasses;
+    SmoothComponent.maxFlushPasses = 3;
+    const l = new Loop().mount(host);
+    try {
+      count = 0;
+      SmoothComponent.flushSync();
+      expect(count).toBe(3);
+      await Promise.resolve();
+      expect(count).toBeGreaterThan(3);
+    } finally {
+      looping = false;
+      SmoothComponent.maxFlushPasses = prev;
+      l.unmount();
+      await Promise.resolve();
+    }
+  });
+  it('flushSync drains the queue when called from a lifecycle hook during a flush', async () => {
+    const target = new Counter('target').mount(host);
+    const seen = [];
+    class Driver extends SmoothComponent {
+      constructor() { super(null, { n: 0 }); }
+      onUpdated() {
+        SmoothComponent.flushSync(() => target.setState({ n: this.state.n }));
+        seen.push(target.element.textContent);
+      }
+      template() { return this.html`<b>${this.state.n}</b>`; }
+    }
+    const el = document.createElement('div');
+    host.appendChild(el);
+    const d = new Driver().mount(el);
+
+    d.setState({ n: 5 });
+    await Promise.resolve();
+    expect(seen).toEqual(['5']);
+  });
+
+  it('keeps a component queued when flushSync runs during its own render', async () => {
+    let count = 0;
+    class Self extends SmoothComponent {
+      template() {
+        count++;
+        if (count === 1) {
+          this._enqueueRender();
+          SmoothComponent.flushSync();
+        }
+        return this.html`<i>${count}</i>`;
+      }
+    }
+    const c = new Self().mount(host);
+    expect(count).toBe(1);
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(count).toBe(2);
+    expect(c.element.textContent).toBe('2');
+  });
+});
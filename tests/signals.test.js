@@ -0,0 +1,104 @@
+import { describe, it, expect, vi } from 'vitest';
+import { signal, computed, effect, untrack } from '../src/state/signals.js';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+import { defineComponent } from '../src/functional/defineComponent.js';
+
+const tick = () => Promise.resolve();
+
+describe('state/signals', () => {
+  it('signal reads and writes values', () => {
+    const s = signal(1);
+    expect(s.value).toBe(1);
+    s.value = 2;
+    expect(s.peek()).toBe(2);
+    s.set(v => v + 1);
+    expect(s.value).toBe(3);
+    expect(`${s}`).toBe('3');
+  });
+
+  it('computed is lazy, cached and follows its sources', () => {
+    const a = signal(2);
+    const getter = vi.fn(() => a.value * 10);
+    const c = computed(getter);
+    expect(getter).not.toHaveBeenCalled();
+    expect(c.value).toBe(20);
+    expect(c.value).toBe(20);
+    expect(getter).toHaveBeenCalledTimes(1);
+    a.value = 3;
+    expect(c.value).toBe(30);
+    expect(getter).toHaveBeenCalledTimes(2);
+  });
+
+  it('effect re-runs on change, runs cleanup and can be disposed', () => {
+    const s = signal('a');
+    const seen = [];
+    const cleanup = vi.fn();
+    const stop = effect(() => { seen.push(s.value); return cleanup; });
+    s.value = 'b';
+    s.value = 'b'; // same value: no re-run
+    expect(seen).toEqual(['a', 'b']);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    stop();
+    expect(cleanup).toHaveBeenCalledTimes(2);
+    s.value = 'c';
+    expect(seen).toEqual(['a', 'b']);
+  });
+
+  it('untrack reads do not subscribe', () => {
+    const s = signal(0);
+    const fn = vi.fn(() => untrack(() => s.value));
+    effect(fn);
+    s.value = 1;
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('re-renders only components that read the changed signal', async () => {
+    const count = signal(0);
+    const other = signal('x');
+    class Reader extends SmoothComponent {
+      template() { return this.html`<span data-testid="count">${count.value}</span>`; }
+    }
+    class Bystander extends SmoothComponent {
+      template() { return this.html`<span>${other.value}</span>`; }
+    }
+    const a = document.createElement('div');
+    const b = document.createElement('div');
+    document.body.append(a, b);
+    const reader = new Reader().mount(a);
+    const bystander = new Bystander().mount(b);
+    const readerSpy = vi.spyOn(reader, 'template');
+    const bystanderSpy = vi.spyOn(bystander, 'template');
+
+    count.value = 5;
+    await tick();
+
+    expect(a.textContent).toBe('5');
+    expect(readerSpy).toHaveBeenCalledTimes(1);
+    expect(bystanderSpy).not.toHaveBeenCalled();
+
+    reader.unmount();
+    bystander.unmount();
+    a.remove();
+    b.remove();
+  });
+
+  it('stops tracking after unmount and works in functional components', async () => {
+    const name = signal('Ada');
+    const Greeting = defineComponent(({ html }) => ({ render: () => html`<p>Hi ${name}</p>` }));
+    const host = document.createElement('div');
+    document.body.appendChild(host);
+    const inst = new Greeting().mount(host);
+    expect(host.textContent).toBe('Hi Ada');
+
+    name.value = 'Grace';
+    await tick();
+    expect(host.textContent).toBe('Hi Grace');
+
+    const spy = vi.spyOn(inst, 'template');
+    inst.unmount();
+    name.value = 'Linus';
+    await tick();
+    expect(spy).not.toHaveBeenCalled();
+    host.remove();
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+import { Suspense, lazy } from '../src/component/Suspense.js';
+import { ErrorBoundary } from '../src/component/ErrorBoundary.js';
+import { defineComponent, Query, Testing } from '../index.js';
+import { SmoothRouter as Router } from '../src/router/SmoothRouter.js';
+
+const deferred = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+describe('Suspense', () => {
+  let host;
+
+  beforeEach(() => {
+    host = document.createElement('div');
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    if (host.parentNode) host.parentNode.removeChild(host);
+    try { Query.remove('suspense-key'); } catch {}
+  });
+
+  it('shows the fallback while a descendant throws a promise', async () => {
+    const gate = deferred();
+    let ready = false;
+    gate.promise.then(() => { ready = true; });
+    class Slow extends SmoothComponent {
+      template() {
+        if (!ready) throw gate.promise;
+        return this.html`<p data-testid="content">loaded</p>`;
+      }
+    }
+
+    const s = new Suspense();
+    s.mount(host, { props: { component: Slow, fallback: '<span data-testid="fb">wait</span>' } });
+    await Promise.resolve();
+
+    expect(s.pending).toBe(true);
+    expect(host.querySelector('[data-testid="fb"]')).toBeTruthy();
+    expect(host.querySelector('[data-suspense-content]').hasAttribute('hidden')).toBe(true);
+
+    gate.resolve();
+    await Testing.waitFor(() => host.querySelector('[data-testid="content"]'));
+
+    expect(s.pending).toBe(false);
+    expect(host.querySelector('[data-testid="fb"]')).toBeFalsy();
+    expect(host.querySelector('[data-suspense-content]').hasAttribute('hidden')).toBe(false);
+  });
+
+  it('lazy() loads a component and passes props through', async () => {
+    class Page extends SmoothComponent {
+      template() { return this.html`<h1 data-testid="page">${this.props.title}</h1>`; }
+    }
+    const LazyPage = lazy(() => Promise.resolve({ default: Page }));
+
+    new Suspense().mount(host, { props: { component: LazyPage, props: { title: 'Docs' } } });
+    expect(host.querySelector('[data-suspense-fallback]')).toBeTruthy();
+
+    await Testing.waitFor(() => host.querySelector('[data-testid="page"]'));
+    expect(host.querySelector('[data-testid="page"]').textContent).toBe('Docs');
+  });
+
+  it('routes lazy load failures to the nearest error boundary', async () => {
+    const Broken = lazy(() => Promise.reject(new Error('load failed')));
+    const b = new ErrorBoundary();
+    b.mount(host, { props: { component: Broken } });
+
+    await Testing.waitFor(() => host.querySelector('[data-error-boundary]'));
+    expect(b.error.message).toBe('load failed');
+  });
+
+  it('lazy() retries a failed load after the error boundary resets', async () => {
+    let attempts = 0;
+    class Page extends SmoothComponent {
+      template() { return this.html`<p data-testid="page">ok</p>`; }
+    }
+    const Flaky = lazy(() => (++attempts === 1 ? Promise.reject(new Error('offline')) : Promise.resolve(Page)));
+    const b = new ErrorBoundary();
+    b.mount(host, { props: { component: Flaky } });
+    await Testing.waitFor(() => host.querySelector('[data-error-boundary]'));
+
+    host.querySelector('[data-boundary-reset]').click();
+    await Testing.waitFor(() => host.querySelector('[data-testid="page"]'));
+    expect(attempts).toBe(2);
+    expect(b.error).toBe(null);
+  });
+
+  it('lazy() forwards slots and children to the loaded component', async () => {
+    class Card extends SmoothComponent {
+      template() { return this.html`<h2>${this.slot('title')}</h2><div class="body">${this.slot()}</div>`; }
+    }
+    const LazyCard = lazy(() => Promise.resolve(Card));
+    new LazyCard().mount(host, { slots: { title: 'Hello' }, children: ['<em>body</em>'] });
+
+    await Testing.waitFor(() => host.querySelector('h2'));
+    expect(host.querySelector('h2').textContent).toBe('Hello');
+    expect(host.querySelector('.body em').textContent).toBe('body');
+  });
+
+  it('lazy routes suspend and show the nearest Suspense fallback', async () => {
+    const gate = deferred();
+    class Reports extends SmoothComponent {
+      template() { return this.html`<h1 data-testid="reports">Reports ${this.props.params.id}</h1>`; }
+    }
+    const s = new Suspense();
+    s.mount(host, { props: { fallback: '<span data-testid="fb">wait</span>' }, children: ['<div id="lazy-route-root"></div>'] });
+    const router = new Router({ mode: 'hash', root: '#lazy-route-root' });
+    router.route('/reports/:id', () => gate.promise);
+
+    await router.navigate('/reports/7');
+    await Testing.waitFor(() => host.querySelector('[data-testid="fb"]'));
+    expect(s.pending).toBe(true);
+
+    gate.resolve({ default: Reports });
+    await Testing.waitFor(() => host.querySelector('[data-testid="reports"]'));
+    expect(host.querySelector('[data-testid="reports"]').textContent).toBe('Reports 7');
+    expect(host.querySelector('[data-testid="fb"]')).toBeFalsy();
+    router.destroy();
+  });
+
+  it('useQuery suspends until data arrives when suspense is enabled', async () => {
+    const gate = deferred();
+    const User = defineComponent(({ useQuery, html }) => {
+      const [user] = useQuery('suspense-key', () => gate.promise, { suspense: true });
+      return { render: () => html`<b data-testid="name">${user.name}</b>` };
+    });
+
+    new Suspense().mount(host, { props: { component: User } });
+    expect(host.querySelector('[data-suspense-fallback]')).toBeTruthy();
+    expect(host.querySelector('[data-testid="name"]')).toBeFalsy();
+
+    gate.resolve({ name: 'Ada' });
+    await Testing.waitFor(() => host.querySelector('[data-testid="name"]'));
+    expect(host.querySelector('[data-testid="name"]').textContent).toBe('Ada');
+    expect(host.querySelector('[data-suspense-fallback]')).toBeFalsy();
+  });
+});
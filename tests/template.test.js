@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+import { compileTemplate } from '../src/dom/template.js';
+import { unsafeHTML } from '../src/security/index.js';
+import { SSR } from '../src/ssr/index.js';
+import { signal } from '../src/state/signals.js';
+
+class Compiled extends SmoothComponent {
+  static compiled = true;
+}
+
+describe('compiled templates', () => {
+  let host;
+
+  beforeEach(() => {
+    host = document.createElement('div');
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    if (host.parentNode) host.parentNode.removeChild(host);
+  });
+
+  it('compiles the static strings once per call site', () => {
+    const tag = (strings) => strings;
+    const site = () => tag`<p>${1}</p>`;
+    const a = compileTemplate(site());
+    expect(a).not.toBeNull();
+    expect(compileTemplate(site())).toBe(a);
+  });
+
+  it('keeps the DOM between renders and updates only the dynamic text', async () => {
+    class Label extends Compiled {
+      constructor() { super(null, { text: 'a' }); }
+      template() { return this.html`<section><h1>Title</h1><p>${this.state.text}</p></section>`; }
+    }
+    const c = new Label().mount(host);
+    const section = host.querySelector('section');
+    const p = host.querySelector('p');
+
+    c.setState({ text: 'b' });
+    await Promise.resolve();
+    expect(host.querySelector('section')).toBe(section);
+    expect(host.querySelector('p')).toBe(p);
+    expect(p.textContent).toBe('b');
+  });
+
+  it('inserts values as text unless they are trusted markup', () => {
+    class Text extends Compiled {
+      template() { return this.html`<p>${'<b>x</b>'}</p><div>${unsafeHTML('<i>y</i>')}</div>`; }
+    }
+    new Text().mount(host);
+    expect(host.querySelector('p').textContent).toBe('<b>x</b>');
+    expect(host.querySelector('p b')).toBeNull();
+    expect(host.querySelector('div i').textContent).toBe('y');
+  });
+
+  it('updates attribute parts, including partial and removed attributes', async () => {
+    class Attrs extends Compiled {
+      constructor() { super(null, { kind: 'info', title: 'hi' }); }
+      template() { return this.html`<div class="box box-${this.state.kind}" title=${this.state.title}></div>`; }
+    }
+    const c = new Attrs().mount(host);
+    const div = host.querySelector('div');
+    expect(div.className).toBe('box box-info');
+    expect(div.getAttribute('title')).toBe('hi');
+    expect(div.hasAttribute('data-smooth-part')).toBe(false);
+
+    c.setState({ kind: 'warn', title: null });
+    await Promise.resolve();
+    expect(div.className).toBe('box box-warn');
+    expect(div.hasAttribute('title')).toBe(false);
+  });
+
+  it('renders nested templates and lists, reusing rows by index', async () => {
+    class Rows extends Compiled {
+      constructor() { super(null, { rows: ['a', 'b', 'c'] }); }
+      template() {
+        return this.html`<table><tbody>${this.state.rows.map(r => this.html`<tr><td>${r}</td></tr>`)}</tbody></table>`;
+      }
+    }
+    const c = new Rows().mount(host);
+    const first = host.querySelector('tr');
+    expect(Array.from(host.querySelectorAll('td')).map(td => td.textContent)).toEqual(['a', 'b', 'c']);
+
+    c.setState({ rows: ['z', 'b'] });
+    await Promise.resolve();
+    expect(host.querySelector('tr')).toBe(first);
+    expect(Array.from(host.querySelectorAll('td')).map(td => td.textContent)).toEqual(['z', 'b']);
+
+    c.setState({ rows: ['z', 'b', 'y', 'x'] });
+    await Promise.resolve();
+    expect(Array.from(host.querySelectorAll('td')).map(td => td.textContent)).toEqual(['z', 'b', 'y', 'x']);
+  });
+
+  it('switches between different nested templates', async () => {
+    class Toggle extends Compiled {
+      constructor() { super(null, { on: false }); }
+      template() {
+        return this.html`<div>${this.state.on ? this.html`<b>on</b>` : this.html`<i>off</i>`}</div>`;
+      }
+    }
+    const c = new Toggle().mount(host);
+    expect(host.querySelector('div').innerHTML).toContain('<i>off</i>');
+
+    c.setState({ on: true });
+    await Promise.resolve();
+    expect(host.querySelector('i')).toBeNull();
+    expect(host.querySelector('b').textContent).toBe('on');
+  });
+
+  it('applies .prop and @event parts', async () => {
+    const clicks = vi.fn();
+    class Form extends Compiled {
+      constructor() { super(null, { value: 'x', n: 0 }); }
+      template() {
+        return this.html`<input .value=${this.state.value}><button @click=${() => clicks(this.state.n)}>go</button>`;
+      }
+    }
+    const c = new Form().mount(host);
+    expect(host.querySelector('input').value).toBe('x');
+
+    c.setState({ value: 'y', n: 1 });
+    await Promise.resolve();
+    expect(host.querySelector('input').value).toBe('y');
+    host.querySelector('button').click();
+    expect(clicks).toHaveBeenCalledTimes(1);
+    expect(clicks).toHaveBeenCalledWith(1);
+  });
+
+  it('mounts child components in compiled templates and keeps them across renders', async () => {
+    class Leaf extends SmoothComponent {
+      template() { return this.html`<em>${this.props.label}</em>`; }
+    }
+    class Parent extends Compiled {
+      constructor() { super(null, { label: 'a' }); }
+      template() { return this.html`<div>${this.child(Leaf, { label: this.state.label }, 'leaf')}</div>`; }
+    }
+    const p = new Parent().mount(host);
+    const leaf = p._childMap.get('leaf').inst;
+    expect(host.querySelector('em').textContent).toBe('a');
+
+    p.setState({ label: 'b' });
+    await Promise.resolve();
+    expect(p._childMap.get('leaf').inst).toBe(leaf);
+    expect(host.querySelector('em').textContent).toBe('b');
+  });
+
+  it('falls back to string rendering for values in raw text elements', async () => {
+    class Note extends Compiled {
+      constructor() { super(null, { text: '<hi>' }); }
+      template() { return this.html`<textarea>${this.state.text}</textarea>`; }
+    }
+    const c = new Note().mount(host);
+    expect(host.querySelector('textarea').value).toBe('<hi>');
+
+    c.setState({ text: 'bye' });
+    await Promise.resolve();
+    expect(host.querySelector('textarea').value).toBe('bye');
+  });
+
+  it('re-renders when a signal interpolated into a compiled template changes', async () => {
+    const label = signal('a');
+    const note = signal('x');
+    class Signals extends Compiled {
+      template() { return this.html`<p>${label}</p>`; }
+    }
+    class Raw extends Compiled {
+      template() { return this.html`<textarea>${note}</textarea>`; }
+    }
+    const a = document.createElement('div');
+    const b = document.createElement('div');
+    host.append(a, b);
+    const c1 = new Signals().mount(a);
+    const c2 = new Raw().mount(b);
+
+    label.value = 'b';
+    note.value = 'y';
+    await Promise.resolve();
+    expect(a.querySelector('p').textContent).toBe('b');
+    expect(b.querySelector('textarea').value).toBe('y');
+    c1.unmount();
+    c2.unmount();
+  });
+
+  it('renders escaped markup on the server', () => {
+    class Page extends Compiled {
+      template() { return this.html`<ul>${['<x>', 'y'].map(v => this.html`<li class="${v}">${v}</li>`)}</ul>`; }
+    }
+    const out = SSR.renderToString(Page);
+    expect(out).toContain('<ul><li class="&lt;x&gt;">&lt;x&gt;</li><li class="y">y</li></ul>');
+  });
+});
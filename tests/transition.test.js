@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SmoothComponent } from '../src/component/SmoothComponent.js';
+import { registerTransition, isLeaving } from '../src/dom/transition.js';
+import { patchChildren, createElement, createText } from '../src/vdom/index.js';
+import { Testing } from '../index.js';
+
+class List extends SmoothComponent {
+  constructor() { super(null, { items: ['a', 'b', 'c'] }); }
+  template() {
+    return this.html`<ul>${this.state.items.map(k => `<li data-key="${k}" data-transition="fade" data-transition-duration="20">${k}</li>`).join('')}</ul>`;
+  }
+}
+
+describe('dom/transition', () => {
+  let host;
+
+  beforeEach(() => {
+    host = document.createElement('div');
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    if (host.parentNode) host.parentNode.removeChild(host);
+  });
+
+  it('applies enter classes to inserted keyed nodes and clears them afterwards', async () => {
+    const c = new List();
+    c.mount(host);
+    c.setState({ items: ['a', 'b', 'c', 'd'] });
+    await Promise.resolve();
+
+    const d = host.querySelector('[data-key="d"]');
+    expect(d.classList.contains('fade-enter-active')).toBe(true);
+    expect(d.classList.contains('fade-enter-from')).toBe(true);
+
+    await Testing.waitFor(() => !d.classList.contains('fade-enter-active'), { timeout: 500 });
+    expect(d.className).toBe('');
+  });
+
+  it('keeps removed keyed nodes until the leave transition ends', async () => {
+    const c = new List();
+    c.mount(host);
+    const b = host.querySelector('[data-key="b"]');
+
+    c.setState({ items: ['a', 'c'] });
+    await Promise.resolve();
+
+    expect(b.parentNode).toBeTruthy();
+    expect(isLeaving(b)).toBe(true);
+    expect(b.classList.contains('fade-leave-active')).toBe(true);
+
+    // Patching again while b is leaving must not disturb the live list
+    c.setState({ items: ['c', 'a'] });
+    await Promise.resolve();
+    const live = Array.from(host.querySelectorAll('li')).filter(li => !isLeaving(li)).map(li => li.textContent);
+    expect(live).toEqual(['c', 'a']);
+
+    await Testing.waitFor(() => !b.parentNode, { timeout: 500 });
+    expect(Array.from(host.querySelectorAll('li')).map(li => li.textContent)).toEqual(['c', 'a']);
+  });
+
+  it('calls registered JS hooks and waits for done()', async () => {
+    let finish;
+    const leaveHook = vi.fn((el, done) => { finish = done; });
+    const afterLeave = vi.fn();
+    registerTransition('fade', { leave: leaveHook, afterLeave });
+    try {
+      const c = new List();
+      c.mount(host);
+      const a = host.querySelector('[data-key="a"]');
+      c.setState({ items: ['b', 'c'] });
+      await Promise.resolve();
+
+      await Testing.waitFor(() => leaveHook.mock.calls.length === 1, { timeout: 500 });
+      await Testing.wait(40);
+      expect(a.parentNode).toBeTruthy();
+
+      finish();
+      expect(a.parentNode).toBe(null);
+      expect(afterLeave).toHaveBeenCalledWith(a);
+    } finally {
+      registerTransition('fade', {});
+    }
+  });
+
+  it('plays leave transitions from the VDOM keyed patcher', async () => {
+    const item = (k) => createElement('li', { 'data-transition': 'fade', 'data-transition-duration': '20' }, [createText(k)], k);
+    const ul = document.createElement('ul');
+    host.appendChild(ul);
+    const first = [item('x'), item('y')];
+    patchChildren(ul, [], first);
+    expect(ul.children.length).toBe(2);
+
+    const y = ul.children[1];
+    patchChildren(ul, first, [item('x')]);
+    expect(isLeaving(y)).toBe(true);
+
+    await Testing.waitFor(() => ul.children.length === 1, { timeout: 500 });
+    expect(ul.textContent).toBe('x');
+  });
+});
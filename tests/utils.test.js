@@ -1,5 +1,6 @@
 import { describe, it, expect, vi } from 'vitest';
 import { utils } from '../src/utils/index.js';
+import { escapeHTML } from '../src/security/index.js';
 
 describe('utils', () => {
   it('escapeHtml should escape common entities', () => {
@@ -10,6 +11,12 @@ describe('utils', () => {
     expect(escaped).toContain('&gt;');
   });
 
+  it('escapeHtml matches Security.escapeHTML', () => {
+    const input = `a & b < c > "d" 'e'\u00a0`;
+    expect(utils.escapeHtml(input)).toBe(escapeHTML(input));
+    expect(utils.escapeHtml(null)).toBe('');
+  });
+
   it('debounce should delay invocation', async () => {
     const fn = vi.fn();
     const d = utils.debounce(fn, 20);
@@ -1,4 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { signal } from '../src/state/signals.js';
+import { Suspense } from '../src/component/Suspense.js';
 import { 
   createVNode, 
   createElement, 
@@ -14,6 +16,7 @@ import {
 } from '../src/vdom/index.js';
 import { SmoothComponentVDOM } from '../src/vdom/SmoothComponentVDOM.js';
 import { defineComponentVDOM } from '../src/vdom/defineComponentVDOM.js';
+import { ErrorBoundary } from '../src/component/ErrorBoundary.js';
 
 describe('Virtual DOM Core Functions', () => {
   describe('createVNode', () => {
@@ -355,6 +358,18 @@ describe('SmoothComponentVDOM', () => {
     expect(container.querySelector('.test')).toBeTruthy();
     expect(container.querySelector('.test').textContent).toBe('Hello World');
   });
+
+  it('reports render errors to the nearest error boundary', async () => {
+    class Boom extends SmoothComponentVDOM {
+      vtemplate() { throw new Error('vdom boom'); }
+    }
+    const b = new ErrorBoundary();
+    b.mount(container, { props: { component: Boom } });
+    await Promise.resolve();
+
+    expect(b.error.message).toBe('vdom boom');
+    expect(container.querySelector('[data-error-boundary]').textContent).toContain('vdom boom');
+  });
 });
 
 describe('defineComponentVDOM', () => {
@@ -413,6 +428,66 @@ describe('defineComponentVDOM', () => {
     expect(container.querySelector('.test')).toBeTruthy();
     expect(container.querySelector('.test').textContent).toBe('Count: 0');
   });
+
+  it('suspends on a thrown promise and renders once it settles', async () => {
+    let ready = false;
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const Slow = defineComponentVDOM(({ h, t }) => ({
+      vrender: () => {
+        if (!ready) throw gate;
+        return h('p', { className: 'loaded' }, t('loaded'));
+      }
+    }));
+    const s = new Suspense();
+    s.mount(container, { props: { component: Slow, fallback: '<span class="fb">wait</span>' } });
+    await Promise.resolve();
+    expect(s.pending).toBe(true);
+    expect(container.querySelector('.fb')).toBeTruthy();
+
+    ready = true;
+    release();
+    await new Promise((r) => setTimeout(r, 0));
+    expect(container.querySelector('.loaded').textContent).toBe('loaded');
+    expect(s.pending).toBe(false);
+  });
+
+  it('re-renders when a signal read during render changes', async () => {
+    const count = signal(1);
+    const Reader = defineComponentVDOM(({ h, t }) => ({ vrender: () => h('b', {}, t(String(count.value))) }));
+    const c = new Reader();
+    c.mount(container);
+    expect(container.querySelector('b').textContent).toBe('1');
+
+    count.value = 2;
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(container.querySelector('b').textContent).toBe('2');
+    c.unmount();
+  });
+
+  it('drops a queued update once a synchronous render has run', async () => {
+    let renders = 0;
+    const Counter = defineComponentVDOM(({ h, t }) => ({ vrender: () => { renders++; return h('i', {}, t('x')); } }));
+    const c = new Counter();
+    c.mount(container);
+    const before = renders;
+    c._enqueueRender();
+    c.render();
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(renders).toBe(before + 1);
+  });
+
+  it('reports render errors to the nearest error boundary', async () => {
+    const Boom = defineComponentVDOM(() => ({ vrender: () => { throw new Error('functional boom'); } }));
+    const b = new ErrorBoundary();
+    b.mount(container, { props: { component: Boom } });
+    await Promise.resolve();
+
+    expect(b.error.message).toBe('functional boom');
+    expect(container.querySelector('[data-error-boundary]').textContent).toContain('functional boom');
+  });
 });
 
 describe('Performance Tests', () => {